@@ -0,0 +1,113 @@
+// Return attribution by stock and by industry
+// Built on the contributions from calculatePortfolioNetValue: { code: { contribution,
+// averageWeight } }, where contribution is the stock's profit and loss in net value and
+// averageWeight its average start-of-day weight. All results are in percent.
+//
+// Against a benchmark (the ETF replicated with its disclosed weights) the excess return is
+// split per industry Brinson-style into
+//   allocation = (Wp - Wb) × (Rb,i - Rb)   over- or underweighting industries that beat the benchmark
+//   selection  = Wp × (Rp,i - Rb,i)        picking and weighting stocks within an industry
+// where W are average weights, R the industry returns (contribution / weight) and Rb the
+// benchmark's total stock return. The selection effect includes the interaction term.
+// Whatever the two effects do not explain (trading costs, cash, drift of the weights) is
+// reported as other.
+
+const UNKNOWN_INDUSTRY = '-';
+
+function toPercent(value) {
+  return value === null ? null : value * 100;
+}
+
+// Sum weights and contributions per industry
+function groupByIndustry(contributions, industries) {
+  const groups = {};
+  Object.entries(contributions).forEach(([code, c]) => {
+    const industry = industries[code] || UNKNOWN_INDUSTRY;
+    if (!groups[industry]) groups[industry] = { weight: 0, contribution: 0 };
+    groups[industry].weight += c.averageWeight;
+    groups[industry].contribution += c.contribution;
+  });
+  return groups;
+}
+
+function totalContribution(contributions) {
+  return Object.values(contributions).reduce((sum, c) => sum + c.contribution, 0);
+}
+
+// Attribution of a portfolio, optionally against a benchmark
+// portfolio / benchmark: contributions from calculatePortfolioNetValue (benchmark may be null)
+// industries: { code: industry }
+// returns: { portfolio: total return, benchmark: total return } for the excess return; the
+// contributions alone leave out trading costs
+// Returns { stocks, industries, total }; benchmark fields are null without a benchmark
+function calculateAttribution(portfolio, benchmark, industries, returns = {}) {
+  const codes = [...new Set([...Object.keys(portfolio), ...Object.keys(benchmark || {})])];
+  const stocks = codes.map(code => {
+    const p = portfolio[code];
+    const b = benchmark ? benchmark[code] : null;
+    return {
+      code: code,
+      industry: industries[code] || UNKNOWN_INDUSTRY,
+      weight: p ? toPercent(p.averageWeight) : 0,
+      contribution: p ? toPercent(p.contribution) : 0,
+      benchmarkWeight: benchmark ? (b ? toPercent(b.averageWeight) : 0) : null,
+      benchmarkContribution: benchmark ? (b ? toPercent(b.contribution) : 0) : null
+    };
+  }).sort((a, b) => b.contribution - a.contribution);
+
+  const portfolioGroups = groupByIndustry(portfolio, industries);
+  const benchmarkGroups = benchmark ? groupByIndustry(benchmark, industries) : {};
+  const benchmarkReturn = benchmark ? totalContribution(benchmark) : null;
+  const empty = { weight: 0, contribution: 0 };
+
+  const industryNames = [...new Set([...Object.keys(portfolioGroups), ...Object.keys(benchmarkGroups)])];
+  const industryRows = industryNames.map(industry => {
+    const p = portfolioGroups[industry] || empty;
+    const b = benchmarkGroups[industry] || empty;
+    const portfolioReturn = p.weight > 0 ? p.contribution / p.weight : null;
+    const row = {
+      industry: industry,
+      weight: toPercent(p.weight),
+      return: toPercent(portfolioReturn),
+      contribution: toPercent(p.contribution),
+      benchmarkWeight: null,
+      benchmarkReturn: null,
+      benchmarkContribution: null,
+      allocation: null,
+      selection: null
+    };
+    if (!benchmark) return row;
+
+    // An industry the benchmark does not hold is compared with the benchmark as a whole
+    const industryBenchmarkReturn = b.weight > 0 ? b.contribution / b.weight : null;
+    const reference = industryBenchmarkReturn === null ? benchmarkReturn : industryBenchmarkReturn;
+    return {
+      ...row,
+      benchmarkWeight: toPercent(b.weight),
+      benchmarkReturn: toPercent(industryBenchmarkReturn),
+      benchmarkContribution: toPercent(b.contribution),
+      allocation: toPercent((p.weight - b.weight) * (reference - benchmarkReturn)),
+      selection: toPercent(portfolioReturn === null ? 0 : p.weight * (portfolioReturn - reference))
+    };
+  }).sort((a, b) => b.contribution - a.contribution);
+
+  const sum = key => industryRows.reduce((total, row) => total + row[key], 0);
+  const total = {
+    contribution: toPercent(totalContribution(portfolio)),
+    benchmarkContribution: toPercent(benchmarkReturn),
+    allocation: benchmark ? sum('allocation') : null,
+    selection: benchmark ? sum('selection') : null,
+    excess: null,
+    other: null
+  };
+  if (benchmark && returns.portfolio !== undefined && returns.benchmark !== undefined) {
+    total.excess = toPercent(returns.portfolio - returns.benchmark);
+    total.other = total.excess - total.allocation - total.selection;
+  }
+
+  return { stocks: stocks, industries: industryRows, total: total };
+}
+
+module.exports = {
+  calculateAttribution
+};
@@ -0,0 +1,572 @@
+// Backtest calculation core
+// Pure functions shared by the backtest endpoints: factor weights, the holdings-based net
+// value engine, rebalance and constituent schedules, data coverage and benchmark series.
+// Nothing here calls Tushare, so it can be tested with plain fixtures.
+
+const { TRADING_DAYS_PER_YEAR } = require('./metrics');
+const { DEFAULT_FACTOR_WEIGHTS, FACTORS } = require('./factors');
+const { normalizeFactor, allocateWeights } = require('./weighting');
+const { hasConstraints, applyConstraints } = require('./constraints');
+const { calculateTradeCosts } = require('./costs');
+
+// Collect all trading dates present in the stocks' price data (ascending)
+function collectTradeDates(stocksData) {
+  const allDates = new Set();
+  stocksData.forEach(stock => {
+    if (!stock.data || !stock.data.items) return;
+    const dateIdx = stock.data.fields.indexOf('trade_date');
+    stock.data.items.forEach(item => allDates.add(item[dateIdx]));
+  });
+  return Array.from(allDates).sort((a, b) => a.localeCompare(b));
+}
+
+// Coverage report for the response, with counts by status
+function describeCoverage(coverage, tradingContext) {
+  const byStatus = {};
+  coverage.forEach(c => {
+    byStatus[c.status] = (byStatus[c.status] || 0) + 1;
+  });
+  return {
+    calendarSource: tradingContext.calendarSource,
+    tradingDays: tradingContext.tradeDates.length,
+    byStatus: byStatus,
+    stocks: coverage
+  };
+}
+
+// Get rebalance dates for a frequency
+// The first trading date is the initial build, so it is never a rebalance date.
+// For 'report', each holdings disclosure date maps to the first trading date on or after it.
+function getRebalanceDates(tradeDates, frequency, reportDates = []) {
+  if (!frequency || frequency === 'none' || tradeDates.length < 2) {
+    return [];
+  }
+  
+  if (frequency === 'report') {
+    const rebalanceDates = new Set();
+    reportDates.forEach(reportDate => {
+      const tradeDate = tradeDates.find(d => d >= reportDate);
+      if (tradeDate && tradeDate !== tradeDates[0]) {
+        rebalanceDates.add(tradeDate);
+      }
+    });
+    return Array.from(rebalanceDates).sort((a, b) => a.localeCompare(b));
+  }
+  
+  // Period key for each date: month, quarter or half-year
+  const periodKey = (date) => {
+    const year = date.substring(0, 4);
+    const month = parseInt(date.substring(4, 6));
+    if (frequency === 'monthly') return `${year}-${month}`;
+    if (frequency === 'quarterly') return `${year}-Q${Math.ceil(month / 3)}`;
+    return `${year}-H${month <= 6 ? 1 : 2}`; // semiannual
+  };
+  
+  // First trading date of each new period
+  return tradeDates.filter((date, i) => i > 0 && periodKey(date) !== periodKey(tradeDates[i - 1]));
+}
+
+// Get the constituent codes in force on a date
+// universeSchedule: [{ date, codes }] ascending by disclosure date; null before the first
+// disclosure (later holdings are not known yet) or without a schedule.
+function getUniverseAt(universeSchedule, date) {
+  const entry = getScheduleEntryAt(universeSchedule, date);
+  return entry ? entry.codes : null;
+}
+
+// Get the universe schedule entry in force on a date (see getUniverseAt)
+function getScheduleEntryAt(universeSchedule, date) {
+  if (!universeSchedule || universeSchedule.length === 0) {
+    return null;
+  }
+  const inForce = universeSchedule.filter(u => u.date <= date);
+  return inForce.length > 0 ? inForce[inForce.length - 1] : null;
+}
+
+// Weights disclosed in a fund_portfolio report, normalized over its stock holdings
+// codes: ts_code of each item (null when unresolved). Weights come from stk_mkv_ratio
+// (share of NAV, %) when every holding has one, otherwise from mkv (market value).
+// Returns { weights, stockRatio }; stockRatio is the disclosed share of NAV held in the
+// stocks (%), null without ratios
+function calculateDisclosedWeights(fields, items, codes) {
+  const ratioIdx = fields.indexOf('stk_mkv_ratio');
+  const mkvIdx = fields.indexOf('mkv');
+  const holdings = items
+    .map((item, i) => ({ code: codes[i], ratio: ratioIdx >= 0 ? item[ratioIdx] : null, mkv: mkvIdx >= 0 ? item[mkvIdx] : null }))
+    .filter(h => h.code);
+  const useRatio = holdings.length > 0 && holdings.every(h => typeof h.ratio === 'number');
+
+  const raw = {};
+  holdings.forEach(h => {
+    const value = useRatio ? h.ratio : h.mkv;
+    if (typeof value === 'number' && value > 0) {
+      raw[h.code] = (raw[h.code] || 0) + value;
+    }
+  });
+  const total = Object.values(raw).reduce((sum, v) => sum + v, 0);
+  const weights = {};
+  if (total > 0) {
+    Object.entries(raw).forEach(([code, value]) => {
+      weights[code] = value / total;
+    });
+  }
+  return { weights: weights, stockRatio: useRatio ? Math.round(total * 100) / 100 : null };
+}
+
+// Calculate portfolio net value with weights
+// options.rebalanceSchedule: [{ date, weights }] - reset to target weights at the close of each date
+// options.universeSchedule: [{ date, codes }] - constituents in force from each disclosure date;
+// stocks leaving the universe are sold and stocks outside it are never bought
+// options.costModel: resolved cost model (lib/costs.js); costs of the initial build and of every
+// rebalance are deducted from the portfolio before buying. null trades frictionlessly.
+// options.tradeDates: trading calendar (trade_cal) the net value is reported on; defaults to
+// every date with a bar
+// options.listings: { code: { listDate, delistDate } } from getListingDates
+//
+// Also returns each held stock's contribution: its profit and loss in net value (the
+// contributions less the trading costs add up to the final net value minus 1) and its
+// average weight at the start of each day.
+//
+// Suspended stocks keep their last close and cannot be traded. A target stock without a bar
+// (listed or resumed later in the range) has its weight held as cash and is bought at its
+// next close. A delisted stock is sold at its last close and the proceeds go to the
+// remaining holdings.
+function calculatePortfolioNetValue(stocksData, weights, options = {}) {
+  const {
+    rebalanceSchedule = [],
+    universeSchedule = [],
+    costModel = null,
+    listings = {}
+  } = options;
+  
+  // Build price lookup for each stock
+  const priceMaps = {};
+  const barDates = {};
+  stocksData.forEach(stock => {
+    if (!stock.data || !stock.data.items || stock.data.items.length === 0) return;
+    
+    const fields = stock.data.fields;
+    const dateIdx = fields.indexOf('trade_date');
+    const closeIdx = fields.indexOf('close');
+    priceMaps[stock.code] = new Map(stock.data.items.map(item => [item[dateIdx], item[closeIdx]]));
+    barDates[stock.code] = [...priceMaps[stock.code].keys()].sort((a, b) => a.localeCompare(b));
+  });
+  
+  const tradeDates = options.tradeDates && options.tradeDates.length > 0
+    ? options.tradeDates
+    : collectTradeDates(stocksData);
+  const scheduleByDate = new Map(rebalanceSchedule.map(r => [r.date, r.weights]));
+  const lastPrices = {};
+  const rebalanceLog = [];
+  let universe = null;
+  let units = {};
+  let pending = {};
+  let pendingSells = new Set();
+  let cash = 1;
+  
+  const firstBarDate = code => (barDates[code] ? barDates[code][0] : null);
+  const isDelisted = (code, date) => !!(listings[code] && listings[code].delistDate && listings[code].delistDate <= date);
+  
+  // Net value 1.0 corresponds to initialCapital 元 when charging costs
+  const capital = costModel ? costModel.initialCapital : 1;
+  const costTotals = { commission: 0, stampDuty: 0, transferFee: 0, slippage: 0, total: 0, trades: 0 };
+  let buildCost = 0;
+  let rebalanceTurnover = 0;
+  
+  // Per-stock profit and loss and the sum of start-of-day weights
+  const pnl = {};
+  const weightSums = {};
+  let previousNetValue = 1;
+  
+  const chargeCosts = (tradeValues, date) => {
+    if (!costModel) return 0;
+    const tradeCosts = calculateTradeCosts(tradeValues.map(v => v * capital), costModel, date);
+    Object.keys(costTotals).forEach(key => {
+      costTotals[key] += tradeCosts[key];
+    });
+    return tradeCosts.total / capital;
+  };
+  
+  // Reset holdings to target weights on a date, trading only stocks with a bar that day.
+  // Suspended holdings keep their units (and are sold once they resume if no longer wanted);
+  // target stocks without a bar keep their weight as cash until their next close.
+  // Returns the applied weights plus the cost (in net value) and one-sided turnover of the trades
+  const allocate = (targetWeights, portfolioValue, date) => {
+    const tradable = code => !!priceMaps[code] && priceMaps[code].has(date);
+    const tradesLater = code => !!barDates[code] && barDates[code][barDates[code].length - 1] > date;
+    const frozen = Object.keys(units).filter(code => !tradable(code) && !isDelisted(code, date));
+    const frozenValue = frozen.reduce((sum, code) => sum + units[code] * lastPrices[code], 0);
+    
+    const eligible = Object.keys(targetWeights).filter(code =>
+      targetWeights[code] > 0 && (!universe || universe.has(code)) && !isDelisted(code, date) && !frozen.includes(code)
+    );
+    const priced = eligible.filter(code => tradable(code) && lastPrices[code] > 0);
+    const waiting = eligible.filter(code => !tradable(code) && tradesLater(code));
+    const totalWeight = [...priced, ...waiting].reduce((sum, code) => sum + targetWeights[code], 0);
+    const tradableValue = portfolioValue - frozenValue;
+    
+    const applied = {};
+    [...priced, ...waiting].forEach(code => {
+      applied[code] = (targetWeights[code] / totalWeight) * (tradableValue / portfolioValue);
+    });
+    
+    // Trades from the current holdings to the targets, before costs
+    const codes = [...new Set([...Object.keys(units), ...priced])].filter(code => !frozen.includes(code));
+    const tradeValues = codes.map(code =>
+      portfolioValue * (priced.includes(code) ? applied[code] : 0) - (units[code] || 0) * (lastPrices[code] || 0)
+    );
+    const cost = chargeCosts(tradeValues, date);
+    const turnover = tradeValues.reduce((sum, v) => sum + Math.abs(v), 0) / 2 / portfolioValue;
+    
+    const investable = tradableValue - cost;
+    const frozenUnits = Object.fromEntries(frozen.map(code => [code, units[code]]));
+    units = frozenUnits;
+    pending = {};
+    cash = totalWeight > 0 ? 0 : investable;
+    frozen.forEach(code => {
+      applied[code] = (units[code] * lastPrices[code]) / portfolioValue;
+    });
+    // Frozen holdings that are no longer wanted are sold when they resume
+    pendingSells = new Set(frozen.filter(code =>
+      !(targetWeights[code] > 0) || (universe && !universe.has(code))
+    ));
+    priced.forEach(code => {
+      units[code] = (investable * (targetWeights[code] / totalWeight)) / lastPrices[code];
+    });
+    waiting.forEach(code => {
+      pending[code] = investable * (targetWeights[code] / totalWeight);
+      cash += pending[code];
+    });
+    return { applied: applied, cost: cost, turnover: turnover };
+  };
+  
+  // Current weights of the drifted holdings (cash held for pending buys included)
+  const currentWeights = (portfolioValue) => {
+    const result = {};
+    Object.keys(units).forEach(code => {
+      result[code] = (units[code] * lastPrices[code]) / portfolioValue;
+    });
+    Object.keys(pending).forEach(code => {
+      result[code] = pending[code] / portfolioValue;
+    });
+    return result;
+  };
+  
+  const netValueData = tradeDates.map((date, i) => {
+    const heldValues = Object.fromEntries(Object.keys(units).map(code => [code, units[code] * lastPrices[code]]));
+    
+    // Carry forward the last known close for stocks without a bar today
+    Object.keys(priceMaps).forEach(code => {
+      const price = priceMaps[code].get(date);
+      if (price !== undefined && price !== null) lastPrices[code] = price;
+    });
+    
+    Object.keys(heldValues).forEach(code => {
+      pnl[code] = (pnl[code] || 0) + units[code] * lastPrices[code] - heldValues[code];
+      weightSums[code] = (weightSums[code] || 0) + heldValues[code] / previousNetValue;
+    });
+    
+    // Update the constituent universe when a new holdings report takes effect
+    const universeCodes = getUniverseAt(universeSchedule, date);
+    const previousUniverse = universe;
+    if (universeCodes) universe = new Set(universeCodes);
+    
+    if (i === 0) {
+      buildCost = allocate(weights, 1, date).cost;
+      previousNetValue = 1 - buildCost;
+      return { date: date, netValue: previousNetValue };
+    }
+    
+    // Buy stocks that trade again with the cash held for them
+    const bought = Object.keys(pending).filter(code => priceMaps[code].has(date) && lastPrices[code] > 0);
+    bought.forEach(code => {
+      const cost = chargeCosts([pending[code]], date);
+      units[code] = (pending[code] - cost) / lastPrices[code];
+      cash -= pending[code];
+      delete pending[code];
+    });
+    
+    const portfolioValue = Object.keys(units)
+      .reduce((sum, code) => sum + units[code] * lastPrices[code], cash);
+    
+    const added = previousUniverse ? [...universe].filter(code => !previousUniverse.has(code)) : [];
+    const removed = previousUniverse ? [...previousUniverse].filter(code => !universe.has(code)) : [];
+    const universeChanged = added.length > 0 || removed.length > 0;
+    const delisted = [...Object.keys(units), ...Object.keys(pending)].filter(code => isDelisted(code, date));
+    const resumedSells = [...pendingSells].filter(code => priceMaps[code] && priceMaps[code].has(date));
+    
+    let netValue = portfolioValue;
+    const triggered = scheduleByDate.has(date) || universeChanged || delisted.length > 0 || resumedSells.length > 0;
+    if (triggered && portfolioValue > 0) {
+      const before = currentWeights(portfolioValue);
+      // Without new target weights, sell the leavers and keep the others' relative weights
+      const targetWeights = scheduleByDate.has(date)
+        ? scheduleByDate.get(date)
+        : Object.fromEntries(Object.entries(before).filter(([code]) => !resumedSells.includes(code)));
+      const { applied: after, cost, turnover } = allocate(targetWeights, portfolioValue, date);
+      rebalanceTurnover += turnover;
+      netValue = portfolioValue - cost;
+      const entry = {
+        date: date,
+        netValue: netValue,
+        before: before,
+        after: after,
+        turnover: turnover * 100,
+        cost: cost * capital
+      };
+      if (universeChanged) {
+        entry.added = added;
+        entry.removed = removed;
+      }
+      if (delisted.length > 0) {
+        entry.delisted = delisted;
+      }
+      if (resumedSells.length > 0) {
+        entry.resumedSells = resumedSells;
+      }
+      rebalanceLog.push(entry);
+    }
+    
+    previousNetValue = netValue;
+    return { date: date, netValue: netValue };
+  });
+  
+  // Turnover is one-sided ((buys + sells) / 2 / portfolio value) and excludes the initial build
+  const years = tradeDates.length > 1 ? (tradeDates.length - 1) / TRADING_DAYS_PER_YEAR : 0;
+  return {
+    netValue: netValueData,
+    rebalanceLog: rebalanceLog,
+    costs: {
+      model: costModel,
+      totalCost: costTotals.total,
+      totalCostPct: (costTotals.total / capital) * 100,
+      buildCost: buildCost * capital,
+      commission: costTotals.commission,
+      stampDuty: costTotals.stampDuty,
+      transferFee: costTotals.transferFee,
+      slippage: costTotals.slippage,
+      trades: costTotals.trades,
+      turnover: rebalanceTurnover * 100,
+      annualizedTurnover: years > 0 ? (rebalanceTurnover / years) * 100 : null
+    },
+    coverage: summarizeCoverage(stocksData, tradeDates, listings),
+    contributions: Object.fromEntries(Object.keys(pnl).map(code => [code, {
+      contribution: pnl[code],
+      averageWeight: weightSums[code] / (tradeDates.length - 1)
+    }]))
+  };
+}
+
+// Per-stock data coverage on the trading calendar
+// status: full | suspended (missing bars between its first and last bar) | listed (first bar
+// after the start) | delisted | ended (bars stop before the end without a delisting) | noData
+function summarizeCoverage(stocksData, tradeDates, listings = {}) {
+  const firstDate = tradeDates[0];
+  const lastDate = tradeDates[tradeDates.length - 1];
+  
+  return stocksData.map(stock => {
+    const listing = listings[stock.code] || {};
+    const base = {
+      code: stock.code,
+      listDate: listing.listDate || null,
+      delistDate: listing.delistDate || null
+    };
+    if (!stock.data || !stock.data.items || stock.data.items.length === 0 || tradeDates.length === 0) {
+      return { ...base, status: 'noData', firstDate: null, lastDate: null, bars: 0, missingDays: tradeDates.length, coverage: 0 };
+    }
+    
+    const dateIdx = stock.data.fields.indexOf('trade_date');
+    const bars = new Set(stock.data.items.map(item => item[dateIdx]));
+    const covered = tradeDates.filter(date => bars.has(date));
+    if (covered.length === 0) {
+      return { ...base, status: 'noData', firstDate: null, lastDate: null, bars: 0, missingDays: tradeDates.length, coverage: 0 };
+    }
+    const stockFirst = covered[0];
+    const stockLast = covered[covered.length - 1];
+    const activeDays = tradeDates.filter(date => date >= stockFirst && date <= stockLast).length;
+    const missingDays = activeDays - covered.length;
+    
+    let status = 'full';
+    if (listing.delistDate && listing.delistDate <= lastDate) {
+      status = 'delisted';
+    } else if (stockLast < lastDate) {
+      status = 'ended';
+    } else if (stockFirst > firstDate && listing.listDate && listing.listDate > firstDate) {
+      status = 'listed';
+    } else if (stockFirst > firstDate || missingDays > 0) {
+      status = 'suspended';
+    }
+    
+    return {
+      ...base,
+      status: status,
+      firstDate: stockFirst,
+      lastDate: stockLast,
+      bars: covered.length,
+      missingDays: missingDays,
+      coverage: (covered.length / tradeDates.length) * 100
+    };
+  });
+}
+
+// Calculate multi-factor weights
+// factorWeights: { factorKey: blendWeight } using factors from the factor library
+// options.normalization: how each factor is scored to 0-1 (see lib/weighting.js)
+// options.weighting / options.topN: how composite scores become weights
+function calculateFactorWeights(stocksFactors, factorWeights = DEFAULT_FACTOR_WEIGHTS, options = {}) {
+  const { normalization = 'minmax', weighting = 'score', topN = null } = options;
+  const factorKeys = Object.keys(factorWeights);
+  console.log(`\nCalculating weights for ${stocksFactors.length} stocks with factors: ${factorKeys.join(', ')} (${normalization}, ${weighting}${topN ? `, top ${topN}` : ''})`);
+  
+  // Count stocks by data availability
+  factorKeys.forEach(key => {
+    const available = stocksFactors.filter(s => s.factors && s.factors[key] !== null && s.factors[key] !== undefined).length;
+    console.log(`  With ${key}: ${available}`);
+  });
+  
+  // Fill missing values where the factor allows it; otherwise the stock is excluded
+  const processedStocks = [];
+  stocksFactors.forEach(s => {
+    const values = {};
+    for (const key of factorKeys) {
+      let value = s.factors ? s.factors[key] : null;
+      if (value === null || value === undefined || isNaN(value)) {
+        if (FACTORS[key].fillValue === undefined) return;
+        value = FACTORS[key].fillValue;
+      }
+      values[key] = value;
+    }
+    processedStocks.push({ code: s.code, ...values });
+  });
+  const sourceByCode = new Map(stocksFactors.map(s => [s.code, s]));
+  
+  console.log(`  Using ${processedStocks.length} stocks with valid factor data for weight calculation`);
+  
+  if (processedStocks.length === 0) {
+    console.warn('No valid stocks with factor data');
+    // Return equal weights for all stocks
+    const equalWeight = 1 / stocksFactors.length;
+    const weights = {};
+    stocksFactors.forEach(s => {
+      weights[s.code] = equalWeight;
+    });
+    return {
+      weights: weights,
+      processedFactors: stocksFactors,
+      factorScores: {}
+    };
+  }
+  
+  // Normalize factors to 0-1 range (1 = best)
+  const factorScores = {};
+  processedStocks.forEach(s => {
+    factorScores[s.code] = {};
+  });
+  
+  const industries = processedStocks.map(s => sourceByCode.get(s.code).industry || null);
+  factorKeys.forEach(key => {
+    const scores = normalizeFactor(processedStocks.map(s => s[key]), normalization, {
+      higherIsBetter: FACTORS[key].higherIsBetter,
+      groups: industries
+    });
+    processedStocks.forEach((s, i) => {
+      factorScores[s.code][key] = scores[i];
+    });
+  });
+  
+  // Composite score: blend of the normalized factors
+  const totalBlend = factorKeys.reduce((sum, key) => sum + factorWeights[key], 0);
+  processedStocks.forEach(s => {
+    const scores = factorScores[s.code];
+    scores.composite = factorKeys.reduce((sum, key) => sum + scores[key] * factorWeights[key], 0) / totalBlend;
+  });
+  
+  // Turn composite scores into weights
+  const weights = allocateWeights(processedStocks.map(s => {
+    const source = sourceByCode.get(s.code);
+    return {
+      code: s.code,
+      score: factorScores[s.code].composite,
+      marketCap: source.marketCap,
+      volatility: source.volatility,
+      returns: source.returns
+    };
+  }), { weighting: weighting, topN: topN });
+  
+  console.log(`Calculated weights for ${Object.keys(weights).length} stocks`);
+  
+  // Return weights, processed factors (with filled values) and normalized scores
+  return {
+    weights: weights,
+    processedFactors: processedStocks,
+    factorScores: factorScores
+  };
+}
+
+// Apply portfolio constraints to factor weights, using the industries loaded with the factors
+function constrainWeights(weights, stocksFactors, constraints) {
+  if (!hasConstraints(constraints)) {
+    return { weights: weights, binding: [], infeasible: [] };
+  }
+  const industries = Object.fromEntries(stocksFactors.map(f => [f.code, f.industry || null]));
+  const result = applyConstraints(weights, industries, constraints);
+  if (result.infeasible.length > 0) {
+    console.warn(`Constraints could not be satisfied: ${result.infeasible.join(', ')}`);
+  }
+  return result;
+}
+
+// Describe a factor blend, e.g. "Multi-Factor (股息率 40% + ROCE 30% + 低波动 30%)"
+function describeStrategy(factorWeights) {
+  const keys = Object.keys(factorWeights);
+  const totalBlend = keys.reduce((sum, key) => sum + factorWeights[key], 0);
+  const parts = keys.map(key => `${FACTORS[key].label} ${((factorWeights[key] / totalBlend) * 100).toFixed(0)}%`);
+  return `${keys.length === 2 ? 'Dual' : 'Multi'}-Factor (${parts.join(' + ')})`;
+}
+
+// Normalize a price or NAV series to start at 1.0
+function normalizeSeries(data, dateField, valueField) {
+  if (!data || !data.items || data.items.length === 0) {
+    return [];
+  }
+  
+  const dateIdx = data.fields.indexOf(dateField);
+  const valueIdx = data.fields.indexOf(valueField);
+  if (dateIdx < 0 || valueIdx < 0) {
+    return [];
+  }
+  
+  const sortedItems = data.items
+    .filter(item => item[valueIdx] > 0)
+    .sort((a, b) => a[dateIdx].localeCompare(b[dateIdx]));
+  if (sortedItems.length === 0) {
+    return [];
+  }
+  const initialValue = sortedItems[0][valueIdx];
+  
+  return sortedItems.map(item => ({
+    date: item[dateIdx],
+    netValue: item[valueIdx] / initialValue
+  }));
+}
+
+// Calculate ETF net value from fund_daily closes
+function calculateETFNetValue(etfData) {
+  return normalizeSeries(etfData, 'trade_date', 'close');
+}
+
+module.exports = {
+  collectTradeDates,
+  describeCoverage,
+  getRebalanceDates,
+  getUniverseAt,
+  getScheduleEntryAt,
+  calculateDisclosedWeights,
+  calculatePortfolioNetValue,
+  summarizeCoverage,
+  calculateFactorWeights,
+  constrainWeights,
+  describeStrategy,
+  normalizeSeries,
+  calculateETFNetValue
+};
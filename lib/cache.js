@@ -0,0 +1,228 @@
+// On-disk cache for Tushare responses
+// Each response is stored as a JSON file under <cache dir>/<api_name>/<hash>.json,
+// keyed by api_name and the (sorted) request params.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = process.env.TUSHARE_CACHE_DIR || path.join(__dirname, '..', 'cache');
+const CACHE_ENABLED = process.env.TUSHARE_CACHE !== 'off';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Market data queried by date range: bars before today never change
+const DATED_APIS = ['daily', 'adj_factor', 'daily_basic', 'fund_daily', 'fund_nav', 'index_daily', 'trade_cal'];
+// Report data queried by stock: new reports are appended, so whole-history queries expire
+const REPORT_APIS = ['income', 'balancesheet', 'cashflow', 'fina_indicator', 'dividend', 'fund_portfolio'];
+// Reference data that changes rarely
+const REFERENCE_APIS = ['stock_basic', 'stock_company', 'fund_basic', 'index_basic'];
+
+// api_name values are lowercase words joined by underscores; anything else (such as "..")
+// could point outside the cache directory
+const API_NAME_PATTERN = /^[a-z_]+$/;
+
+function isValidApiName(apiName) {
+  return typeof apiName === 'string' && API_NAME_PATTERN.test(apiName);
+}
+
+// Directory of an api_name's entries, always directly inside the cache directory
+function apiDir(apiName) {
+  const dir = path.resolve(CACHE_DIR, String(apiName));
+  if (!isValidApiName(apiName) || path.dirname(dir) !== path.resolve(CACHE_DIR)) {
+    throw new Error(`Invalid api_name: ${apiName}`);
+  }
+  return dir;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Decide how long a response may be cached: null means permanently
+function getCachePolicy(apiName, params = {}) {
+  const lastDate = params.end_date || params.trade_date || params.period;
+
+  if (DATED_APIS.includes(apiName)) {
+    return lastDate && lastDate < today() ? { ttl: null } : { ttl: HOUR };
+  }
+
+  if (REPORT_APIS.includes(apiName)) {
+    // A specific past reporting period is immutable once published
+    const period = params.period || params.end_date;
+    return period && period < today() ? { ttl: null } : { ttl: DAY };
+  }
+
+  if (REFERENCE_APIS.includes(apiName)) {
+    return { ttl: 7 * DAY };
+  }
+
+  return { ttl: HOUR };
+}
+
+// Stable JSON with sorted keys so param order does not change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function cacheFile(apiName, params) {
+  const hash = crypto.createHash('sha1').update(stableStringify(params || {})).digest('hex');
+  return path.join(apiDir(apiName), `${hash}.json`);
+}
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+// Read a cached response; returns undefined on miss or expiry
+async function getCached(apiName, params) {
+  if (!CACHE_ENABLED) return undefined;
+
+  try {
+    const entry = JSON.parse(await fs.readFile(cacheFile(apiName, params), 'utf8'));
+    return isExpired(entry) ? undefined : entry.data;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Store a response according to the cache policy
+async function setCached(apiName, params, data) {
+  if (!CACHE_ENABLED) return;
+
+  const { ttl } = getCachePolicy(apiName, params);
+  const now = Date.now();
+  const entry = {
+    apiName: apiName,
+    params: params,
+    storedAt: now,
+    expiresAt: ttl === null ? null : now + ttl,
+    data: data
+  };
+
+  const file = cacheFile(apiName, params);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so readers never see a partial file
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(entry));
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    console.error(`Cache write error for ${apiName}:`, error.message);
+  }
+}
+
+// Visit every cache entry (optionally for one api_name)
+// Throws for an api_name that is not a valid Tushare api_name
+async function forEachEntry(apiName, visitor) {
+  if (apiName !== undefined && apiName !== null) apiDir(apiName);
+
+  let apiNames;
+  try {
+    apiNames = apiName ? [apiName] : (await fs.readdir(CACHE_DIR)).filter(isValidApiName);
+  } catch (error) {
+    return;
+  }
+
+  for (const name of apiNames) {
+    let files;
+    try {
+      files = await fs.readdir(apiDir(name));
+    } catch (error) {
+      continue;
+    }
+
+    for (const fileName of files.filter(f => f.endsWith('.json'))) {
+      const file = path.join(apiDir(name), fileName);
+      try {
+        const [content, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+        const entry = JSON.parse(content);
+        await visitor(entry, file, stat.size);
+      } catch (error) {
+        // Unreadable entries are reported as corrupt and can be purged
+        await visitor(null, file, 0);
+      }
+    }
+  }
+}
+
+// Summarize the cache, optionally listing the entries of one api_name
+async function getCacheStats(apiName) {
+  const now = Date.now();
+  const byApi = {};
+  const entries = [];
+  let totalEntries = 0;
+  let totalBytes = 0;
+
+  await forEachEntry(apiName, (entry, file, size) => {
+    const name = entry ? entry.apiName : path.basename(path.dirname(file));
+    if (!byApi[name]) {
+      byApi[name] = { entries: 0, bytes: 0, permanent: 0, expired: 0, corrupt: 0 };
+    }
+    const stats = byApi[name];
+    stats.entries += 1;
+    stats.bytes += size;
+    totalEntries += 1;
+    totalBytes += size;
+
+    if (!entry) {
+      stats.corrupt += 1;
+      return;
+    }
+    if (entry.expiresAt === null) stats.permanent += 1;
+    if (isExpired(entry, now)) stats.expired += 1;
+
+    if (apiName) {
+      entries.push({
+        params: entry.params,
+        storedAt: new Date(entry.storedAt).toISOString(),
+        expiresAt: entry.expiresAt === null ? null : new Date(entry.expiresAt).toISOString(),
+        expired: isExpired(entry, now),
+        bytes: size
+      });
+    }
+  });
+
+  return {
+    enabled: CACHE_ENABLED,
+    dir: CACHE_DIR,
+    entries: totalEntries,
+    bytes: totalBytes,
+    byApi: byApi,
+    ...(apiName ? { items: entries } : {})
+  };
+}
+
+// Delete cache entries; expiredOnly keeps entries that are still valid
+async function purgeCache({ apiName, expiredOnly = false } = {}) {
+  const now = Date.now();
+  let removed = 0;
+
+  await forEachEntry(apiName, async (entry, file) => {
+    if (expiredOnly && entry && !isExpired(entry, now)) return;
+    try {
+      await fs.unlink(file);
+      removed += 1;
+    } catch (error) {
+      console.error(`Cache purge error for ${file}:`, error.message);
+    }
+  });
+
+  return { removed: removed };
+}
+
+module.exports = {
+  isValidApiName,
+  getCachePolicy,
+  getCached,
+  setCached,
+  getCacheStats,
+  purgeCache
+};
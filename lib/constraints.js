@@ -0,0 +1,196 @@
+// Portfolio constraints applied after weighting
+// All limits are fractions of the portfolio (0.1 = 10%):
+//   maxHoldings       - keep only the N largest weights
+//   minWeight         - names below this weight are dropped ('drop') or raised to it ('floor')
+//   maxStockWeight    - cap on any single stock
+//   maxIndustryWeight - cap on any single industry (stocks with unknown industry are not grouped)
+// Weight removed by a cap is redistributed to the unconstrained names in proportion to
+// their weights, repeating until no limit is violated.
+
+const MIN_WEIGHT_ACTIONS = ['drop', 'floor'];
+
+const MAX_ITERATIONS = 100;
+const EPSILON = 1e-9;
+
+// Validate a constraints object; returns an error message or null
+function validateConstraints(constraints) {
+  if (constraints === null || constraints === undefined) return null;
+  if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+    return 'constraints must be an object like {"maxStockWeight": 0.1, "maxIndustryWeight": 0.3}';
+  }
+
+  const { maxHoldings, minWeight, minWeightAction, maxStockWeight, maxIndustryWeight } = constraints;
+  const isFraction = value => typeof value === 'number' && value > 0 && value <= 1;
+
+  if (maxHoldings !== undefined && maxHoldings !== null && !(Number.isInteger(maxHoldings) && maxHoldings > 0)) {
+    return 'maxHoldings must be a positive integer';
+  }
+  for (const [key, value] of Object.entries({ minWeight, maxStockWeight, maxIndustryWeight })) {
+    if (value !== undefined && value !== null && !isFraction(value)) {
+      return `${key} must be a fraction between 0 and 1, e.g. 0.1 for 10%`;
+    }
+  }
+  if (minWeightAction !== undefined && !MIN_WEIGHT_ACTIONS.includes(minWeightAction)) {
+    return `minWeightAction must be one of: ${MIN_WEIGHT_ACTIONS.join(', ')}`;
+  }
+  if (minWeight && maxStockWeight && minWeight > maxStockWeight) {
+    return 'minWeight cannot exceed maxStockWeight';
+  }
+  return null;
+}
+
+function hasConstraints(constraints) {
+  return !!constraints && ['maxHoldings', 'minWeight', 'maxStockWeight', 'maxIndustryWeight']
+    .some(key => constraints[key] !== undefined && constraints[key] !== null);
+}
+
+function normalize(weights) {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const result = {};
+  Object.keys(weights).forEach(code => {
+    result[code] = total > 0 ? weights[code] / total : 0;
+  });
+  return result;
+}
+
+function industryTotals(weights, industries) {
+  const totals = {};
+  Object.keys(weights).forEach(code => {
+    const industry = industries[code];
+    if (industry) totals[industry] = (totals[industry] || 0) + weights[code];
+  });
+  return totals;
+}
+
+// Apply constraints to target weights
+// industries: { code: industry } (needed for maxIndustryWeight)
+// Returns the constrained weights, the constraints that were binding and any that
+// could not be satisfied (e.g. maxStockWeight × holdings < 100%)
+function applyConstraints(weights, industries = {}, constraints = {}) {
+  const {
+    maxHoldings = null,
+    minWeight = null,
+    minWeightAction = 'drop',
+    maxStockWeight = null,
+    maxIndustryWeight = null
+  } = constraints || {};
+
+  let w = normalize(Object.fromEntries(Object.entries(weights).filter(([, weight]) => weight > 0)));
+  const binding = [];
+  const infeasible = [];
+
+  // Max number of holdings: keep the largest weights
+  if (maxHoldings && Object.keys(w).length > maxHoldings) {
+    const ranked = Object.keys(w).sort((a, b) => w[b] - w[a]);
+    binding.push({ constraint: 'maxHoldings', limit: maxHoldings, codes: ranked.slice(maxHoldings) });
+    w = normalize(Object.fromEntries(ranked.slice(0, maxHoldings).map(code => [code, w[code]])));
+  }
+
+  // Minimum weight in drop mode: remove small names before the caps redistribute
+  if (minWeight && minWeightAction === 'drop') {
+    const dropped = Object.keys(w).filter(code => w[code] < minWeight - EPSILON);
+    if (dropped.length === Object.keys(w).length) {
+      infeasible.push('minWeight');
+    } else if (dropped.length > 0) {
+      binding.push({ constraint: 'minWeight', limit: minWeight, action: 'drop', codes: dropped });
+      dropped.forEach(code => delete w[code]);
+      w = normalize(w);
+    }
+  }
+
+  const floor = minWeight && minWeightAction === 'floor' ? minWeight : 0;
+  const cappedStocks = new Set();
+  const cappedIndustries = new Set();
+  const flooredStocks = new Set();
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let excess = 0;
+
+    if (maxStockWeight) {
+      Object.keys(w).forEach(code => {
+        if (w[code] > maxStockWeight + EPSILON) {
+          excess += w[code] - maxStockWeight;
+          w[code] = maxStockWeight;
+          cappedStocks.add(code);
+        }
+      });
+    }
+
+    if (maxIndustryWeight) {
+      const totals = industryTotals(w, industries);
+      Object.keys(totals).forEach(industry => {
+        if (totals[industry] <= maxIndustryWeight + EPSILON) return;
+        const scale = maxIndustryWeight / totals[industry];
+        Object.keys(w).filter(code => industries[code] === industry).forEach(code => {
+          excess += w[code] * (1 - scale);
+          w[code] *= scale;
+        });
+        cappedIndustries.add(industry);
+      });
+    }
+
+    if (floor) {
+      Object.keys(w).forEach(code => {
+        if (w[code] < floor - EPSILON) {
+          excess -= floor - w[code];
+          w[code] = floor;
+          flooredStocks.add(code);
+        }
+      });
+    }
+
+    if (Math.abs(excess) < EPSILON) break;
+
+    // Receivers: names with room under their caps (or above the floor when taking weight)
+    const totals = industryTotals(w, industries);
+    const receivers = Object.keys(w).filter(code => {
+      if (excess < 0) return w[code] > floor + EPSILON;
+      const industry = industries[code];
+      return (!maxStockWeight || w[code] < maxStockWeight - EPSILON) &&
+        (!maxIndustryWeight || !industry || totals[industry] < maxIndustryWeight - EPSILON);
+    });
+    const receiverTotal = receivers.reduce((sum, code) => sum + w[code], 0);
+    if (receiverTotal <= 0) {
+      if (excess < 0) {
+        infeasible.push('minWeight');
+      } else {
+        const tooFewStocks = maxStockWeight && maxStockWeight * Object.keys(w).length < 1 - EPSILON;
+        infeasible.push(tooFewStocks ? 'maxStockWeight' : 'maxIndustryWeight');
+      }
+      break;
+    }
+    receivers.forEach(code => {
+      w[code] += excess * (w[code] / receiverTotal);
+    });
+  }
+
+  // Report the limits that were hit and still hold in the final weights
+  const atLimit = (value, limit) => Math.abs(value - limit) < 1e-6;
+  const finalTotals = industryTotals(w, industries);
+  const stocksAtCap = [...cappedStocks].filter(code => atLimit(w[code], maxStockWeight));
+  const industriesAtCap = [...cappedIndustries].filter(industry => atLimit(finalTotals[industry], maxIndustryWeight));
+  const stocksAtFloor = [...flooredStocks].filter(code => atLimit(w[code], floor));
+  if (stocksAtCap.length > 0) {
+    binding.push({ constraint: 'maxStockWeight', limit: maxStockWeight, codes: stocksAtCap });
+  }
+  if (industriesAtCap.length > 0) {
+    binding.push({ constraint: 'maxIndustryWeight', limit: maxIndustryWeight, industries: industriesAtCap });
+  }
+  if (stocksAtFloor.length > 0) {
+    binding.push({ constraint: 'minWeight', limit: minWeight, action: 'floor', codes: stocksAtFloor });
+  }
+
+  return {
+    // Infeasible limits leave weights that do not sum to 1; the limits give way
+    weights: infeasible.length > 0 ? normalize(w) : w,
+    binding: binding,
+    infeasible: infeasible
+  };
+}
+
+module.exports = {
+  MIN_WEIGHT_ACTIONS,
+  validateConstraints,
+  hasConstraints,
+  applyConstraints
+};
@@ -0,0 +1,100 @@
+// A-share transaction cost model
+// Net values start at 1.0, so trades are scaled by initialCapital (元) to apply the
+// per-trade minimum commission. Rates are fractions of the traded value:
+//   commissionRate  - broker commission on both sides, at least minCommission 元 per trade
+//   stampDutyRate   - stamp duty on sells only; null (the default) charges the rate in force
+//                     on the trade date: 0.1% before 2023-08-28, 0.05% from then on
+//   transferFeeRate - 过户费 on both sides
+//   slippageBps     - execution slippage on both sides, in basis points
+// Costs are only charged when a request asks for them (costs: true or an object), so
+// clients that do not send costs keep frictionless results.
+
+const DEFAULT_COST_MODEL = {
+  initialCapital: 1000000,
+  commissionRate: 0.00025,
+  minCommission: 5,
+  stampDutyRate: null,
+  transferFeeRate: 0.00001,
+  slippageBps: 0
+};
+
+// Trades smaller than this (元) are treated as no trade
+const MIN_TRADE_VALUE = 0.01;
+
+// Stamp duty was halved from 0.1% to 0.05% on 2023-08-28
+const STAMP_DUTY_CUTOVER = '20230828';
+const STAMP_DUTY_BEFORE_CUTOVER = 0.001;
+const STAMP_DUTY_RATE = 0.0005;
+
+// Stamp duty rate on a trade date (YYYYMMDD; without a date the current rate)
+function stampDutyRateOn(date) {
+  return date && date < STAMP_DUTY_CUTOVER ? STAMP_DUTY_BEFORE_CUTOVER : STAMP_DUTY_RATE;
+}
+
+// Validate a cost model setting; returns an error message or null
+// costs: omitted, null or false charges no costs, true the defaults, an object overrides them
+function validateCostModel(costs) {
+  if (costs === true || costs === false || costs === null || costs === undefined) return null;
+  if (typeof costs !== 'object' || Array.isArray(costs)) {
+    return 'costs must be true, false or an object like {"commissionRate": 0.00025, "slippageBps": 5}';
+  }
+
+  const unknown = Object.keys(costs).filter(key => !(key in DEFAULT_COST_MODEL));
+  if (unknown.length > 0) {
+    return `Unknown cost settings: ${unknown.join(', ')}. Available: ${Object.keys(DEFAULT_COST_MODEL).join(', ')}`;
+  }
+  // stampDutyRate null keeps the rate of each trade date
+  const invalid = Object.keys(costs)
+    .filter(key => !(key === 'stampDutyRate' && costs[key] === null))
+    .filter(key => typeof costs[key] !== 'number' || !isFinite(costs[key]) || costs[key] < 0);
+  if (invalid.length > 0) {
+    return `Cost settings must be non-negative numbers: ${invalid.join(', ')}`;
+  }
+  if (costs.initialCapital !== undefined && !(costs.initialCapital > 0)) {
+    return 'initialCapital must be positive';
+  }
+  return null;
+}
+
+// Merge an override with the defaults; returns null unless costs are enabled
+function resolveCostModel(costs) {
+  if (!costs) return null;
+  return { ...DEFAULT_COST_MODEL, ...(costs === true ? {} : costs) };
+}
+
+// Cost breakdown (元) of a batch of trades
+// tradeValues: signed trade values in 元 (positive = buy, negative = sell)
+// date: trade date (YYYYMMDD) for the stamp duty rate unless the model sets one
+function calculateTradeCosts(tradeValues, model, date = null) {
+  const stampDutyRate = model.stampDutyRate === null || model.stampDutyRate === undefined
+    ? stampDutyRateOn(date)
+    : model.stampDutyRate;
+  const costs = { commission: 0, stampDuty: 0, transferFee: 0, slippage: 0, total: 0, trades: 0, buyValue: 0, sellValue: 0 };
+
+  tradeValues.forEach(value => {
+    const amount = Math.abs(value);
+    if (amount < MIN_TRADE_VALUE) return;
+
+    costs.trades += 1;
+    costs.commission += Math.max(amount * model.commissionRate, model.minCommission);
+    costs.transferFee += amount * model.transferFeeRate;
+    costs.slippage += amount * model.slippageBps / 10000;
+    if (value < 0) {
+      costs.stampDuty += amount * stampDutyRate;
+      costs.sellValue += amount;
+    } else {
+      costs.buyValue += amount;
+    }
+  });
+
+  costs.total = costs.commission + costs.stampDuty + costs.transferFee + costs.slippage;
+  return costs;
+}
+
+module.exports = {
+  DEFAULT_COST_MODEL,
+  validateCostModel,
+  resolveCostModel,
+  stampDutyRateOn,
+  calculateTradeCosts
+};
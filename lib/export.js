@@ -0,0 +1,185 @@
+// Export of backtest results as CSV, XLSX or JSON
+// A result is turned into four tables: the request parameters, the daily net values, the
+// holdings and the statistics. XLSX puts each table on its own sheet; CSV exports one table
+// per file, preceded by the parameters as "# key: value" lines, so that every file
+// describes the run it came from. JSON is the raw result with the parameters.
+
+const { FACTORS } = require('./factors');
+const { createWorkbook } = require('./xlsx');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Tables in workbook order, with their sheet names
+const EXPORT_TABLES = {
+  params: '参数',
+  netValue: '净值',
+  holdings: '持仓',
+  statistics: '统计'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// stocksInfo formats numbers as strings ("2.35") and missing values as "-"
+function toNumber(value) {
+  if (value === null || value === undefined || value === '-' || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+// Flatten nested objects into [path, value] rows, e.g. ['metrics.portfolio.sharpeRatio', 1.2]
+// Arrays of plain values are joined; arrays of objects are kept as JSON
+function flatten(value, prefix = '', rows = []) {
+  if (Array.isArray(value)) {
+    const plain = value.every(v => v === null || typeof v !== 'object');
+    rows.push([prefix, plain ? value.join(', ') : JSON.stringify(value)]);
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, rows));
+  } else {
+    rows.push([prefix, value === undefined ? null : value]);
+  }
+  return rows;
+}
+
+// run: { type, id, createdAt, params }
+function paramsTable(run) {
+  return [
+    ['参数', '值'],
+    ['type', run.type],
+    ['id', run.id],
+    ['createdAt', run.createdAt],
+    ...flatten(run.params || {})
+  ];
+}
+
+// Daily net values on the portfolio's dates; excess is the portfolio minus the ETF in
+// percentage points, both rebased to their first common date
+function netValueTable(result) {
+  const etf = new Map((result.etf || []).map(d => [d.date, d.netValue]));
+  const replication = result.replication ? new Map(result.replication.netValue.map(d => [d.date, d.netValue])) : null;
+  const index = result.benchmarkIndex ? new Map(result.benchmarkIndex.netValue.map(d => [d.date, d.netValue])) : null;
+  const etfName = result.etfInfo && result.etfInfo.name ? result.etfInfo.name : 'ETF';
+
+  const base = result.portfolio.find(d => etf.has(d.date));
+  const header = ['日期', '组合净值', `${etfName}净值`, '超额收益（百分点）'];
+  if (replication) header.push('原始权重复制净值');
+  if (index) header.push(`${result.benchmarkIndex.name || result.benchmarkIndex.code}净值`);
+
+  const rows = result.portfolio.map(d => {
+    const etfValue = etf.has(d.date) ? etf.get(d.date) : null;
+    const excess = base && etfValue !== null
+      ? (d.netValue / base.netValue - etfValue / etf.get(base.date)) * 100
+      : null;
+    const row = [d.date, d.netValue, etfValue, excess];
+    if (replication) row.push(replication.has(d.date) ? replication.get(d.date) : null);
+    if (index) row.push(index.has(d.date) ? index.get(d.date) : null);
+    return row;
+  });
+  return [header, ...rows];
+}
+
+// Holdings with weights and every factor value and score that was used
+function holdingsTable(result) {
+  const stocks = result.stocksInfo || [];
+  const factorKeys = [...new Set(stocks.flatMap(s => Object.keys(s.factorValues || {})))];
+  const factorLabel = key => (FACTORS[key] ? FACTORS[key].label : key);
+
+  const header = [
+    '股票代码', '股票名称', '所属行业', '总市值（亿元）', '权重（%）', 'ETF权重（%）',
+    '股息率（%）', 'ROCE（%）', '财报期', '综合得分',
+    ...factorKeys.flatMap(key => [factorLabel(key), `${factorLabel(key)}得分`]),
+    '数据覆盖（%）', '数据状态'
+  ];
+  const rows = stocks.map(s => [
+    s.code,
+    s.name,
+    s.industry,
+    toNumber(s.marketCap),
+    toNumber(s.weight),
+    toNumber(s.etfWeight),
+    toNumber(s.dividendYield),
+    toNumber(s.roce),
+    s.reportPeriod && s.reportPeriod !== '-' ? s.reportPeriod : null,
+    s.factorScores ? s.factorScores.composite : null,
+    ...factorKeys.flatMap(key => [
+      s.factorValues ? toNumber(s.factorValues[key]) : null,
+      s.factorScores ? toNumber(s.factorScores[key]) : null
+    ]),
+    s.coverage ? s.coverage.coverage : null,
+    s.coverage ? s.coverage.status : null
+  ]);
+  return [header, ...rows];
+}
+
+function statisticsTable(result) {
+  return [['指标', '值'], ...flatten(result.statistics || {})];
+}
+
+function buildExportTables(run, result) {
+  return {
+    params: paramsTable(run),
+    netValue: netValueTable(result),
+    holdings: holdingsTable(result),
+    statistics: statisticsTable(result)
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV with a UTF-8 BOM (so Excel reads the Chinese headers) and optional
+// "# " comment lines before the header
+function toCsv(rows, comments = []) {
+  const lines = [
+    ...comments.map(line => `# ${line}`),
+    ...rows.map(row => row.map(csvField).join(','))
+  ];
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+// Export a completed run
+// run: { type, id, createdAt, params }; table selects the CSV table (default netValue)
+// Returns { contentType, filename, body }
+function exportResult(run, result, format, table = 'netValue') {
+  const dates = result.portfolio || [];
+  const range = dates.length > 0 ? `${dates[0].date}-${dates[dates.length - 1].date}` : run.id;
+  const basename = `${run.type}_${range}`;
+
+  if (format === 'json') {
+    const body = JSON.stringify({
+      type: run.type,
+      id: run.id,
+      createdAt: run.createdAt,
+      exportedAt: new Date().toISOString(),
+      params: run.params,
+      result: result
+    }, null, 2);
+    return { contentType: CONTENT_TYPES.json, filename: `${basename}.json`, body: body };
+  }
+
+  const tables = buildExportTables(run, result);
+  if (format === 'xlsx') {
+    const sheets = Object.keys(EXPORT_TABLES).map(key => ({ name: EXPORT_TABLES[key], rows: tables[key] }));
+    return { contentType: CONTENT_TYPES.xlsx, filename: `${basename}.xlsx`, body: createWorkbook(sheets) };
+  }
+
+  const comments = table === 'params'
+    ? []
+    : tables.params.slice(1).map(([key, value]) => `${key}: ${value === null ? '' : value}`);
+  return { contentType: CONTENT_TYPES.csv, filename: `${basename}_${table}.csv`, body: toCsv(tables[table], comments) };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  flatten,
+  toCsv,
+  buildExportTables,
+  exportResult
+};
@@ -0,0 +1,265 @@
+// Factor library
+// Each factor declares the data it depends on and how to compute its raw value from
+// the loaded data bundle. Values are point-in-time: the loaders in server.js only return
+// data available on the weighting date.
+//
+// Data dependencies (keys of the bundle):
+//   dailyBasic   - daily_basic row on or before the date (dv_ratio, pe_ttm, pb, total_mv)
+//   income       - latest income statement announced before the date
+//   balanceSheet - latest balance sheet announced before the date
+//   finaIndicator - latest fina_indicator row announced before the date
+//   cashflow     - latest cash flow statement announced before the date
+//   dividend     - all dividend records (filtered by date in compute)
+//   priceHistory - daily bars over the year before the date
+
+const LOW_VOL_LOOKBACK_DAYS = 252;
+
+// Read a field from the single row of a Tushare { fields, items } result
+function fieldValue(data, field) {
+  if (!data || !data.items || data.items.length === 0) return null;
+  const idx = data.fields.indexOf(field);
+  if (idx < 0) return null;
+  const value = data.items[0][idx];
+  return value === undefined || value === '' ? null : value;
+}
+
+function isValid(value) {
+  return value !== null && value !== undefined && !isNaN(value) && isFinite(value);
+}
+
+// ROCE = EBIT / (Total Assets - Current Liabilities) × 100
+// Financial companies have no current liabilities; equity is used as capital employed
+function computeRoce(bundle, code) {
+  const ebit = fieldValue(bundle.income, 'ebit');
+  const operateProfit = fieldValue(bundle.income, 'operate_profit');
+  const totalProfit = fieldValue(bundle.income, 'total_profit');
+
+  // Try EBIT first, then operate_profit, then total_profit (for financial companies)
+  let profit = null;
+  if (ebit) {
+    profit = ebit;
+  } else if (operateProfit) {
+    profit = operateProfit;
+    console.log(`${code} using operate_profit instead of EBIT`);
+  } else if (totalProfit) {
+    profit = totalProfit;
+    console.log(`${code} using total_profit instead of EBIT`);
+  }
+
+  const totalAssets = fieldValue(bundle.balanceSheet, 'total_assets');
+  let currentLiab = fieldValue(bundle.balanceSheet, 'total_cur_liab');
+
+  // For financial companies (banks, insurance), current_liab is null
+  // Use total equity as capital employed instead
+  if (!currentLiab) {
+    const totalEquity = fieldValue(bundle.balanceSheet, 'total_hldr_eqy_exc_min_int');
+    if (totalEquity) {
+      currentLiab = totalAssets - totalEquity; // Calculate implied "non-equity" portion
+      console.log(`${code} using total equity method (financial company)`);
+    }
+  }
+
+  if (profit && totalAssets && currentLiab) {
+    const capitalEmployed = totalAssets - currentLiab;
+    if (capitalEmployed > 0) {
+      return (profit / capitalEmployed) * 100; // Convert to percentage
+    }
+  }
+
+  console.log(`${code} cannot calculate ROCE - missing data`);
+  return null;
+}
+
+// Daily returns of daily bars in date order: [{ date, value }]
+// pct_chg is measured against pre_close, which Tushare adjusts for dividends and splits, so
+// ex-dates do not show up as price drops the way they do in unadjusted closes
+function dailyReturns(priceHistory) {
+  if (!priceHistory || !priceHistory.items) return [];
+
+  const dateIdx = priceHistory.fields.indexOf('trade_date');
+  const pctChgIdx = priceHistory.fields.indexOf('pct_chg');
+  if (pctChgIdx < 0) return [];
+  return [...priceHistory.items]
+    .filter(item => isValid(item[pctChgIdx]))
+    .sort((a, b) => a[dateIdx].localeCompare(b[dateIdx]))
+    .map(item => ({ date: item[dateIdx], value: item[pctChgIdx] / 100 }));
+}
+
+// Annualized volatility (%) of daily returns over the lookback window
+function computeVolatility(priceHistory) {
+  if (!priceHistory || !priceHistory.items || priceHistory.items.length < 20) return null;
+
+  const returns = dailyReturns(priceHistory).slice(-LOW_VOL_LOOKBACK_DAYS).map(r => r.value);
+  if (returns.length < 2) return null;
+
+  const avg = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - avg) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance) * Math.sqrt(252) * 100;
+}
+
+// Free cash flow yield (%) = free cash flow / total market value
+function computeFcfYield(bundle) {
+  let freeCashflow = fieldValue(bundle.cashflow, 'free_cashflow');
+  if (!isValid(freeCashflow)) {
+    // Fall back to operating cash flow minus capital expenditure
+    const operating = fieldValue(bundle.cashflow, 'n_cashflow_act');
+    const capex = fieldValue(bundle.cashflow, 'c_pay_acq_const_fiolta');
+    freeCashflow = isValid(operating) && isValid(capex) ? operating - capex : null;
+  }
+
+  const totalMv = fieldValue(bundle.dailyBasic, 'total_mv'); // 万元
+  if (!isValid(freeCashflow) || !(totalMv > 0)) return null;
+  return (freeCashflow / (totalMv * 10000)) * 100;
+}
+
+// Dividend growth (%) of cash dividends per share between the two latest fiscal years
+// whose dividends were paid (ex_date) before the weighting date
+function computeDividendGrowth(dividend, asOfDate) {
+  if (!dividend || !dividend.items || dividend.items.length === 0) return null;
+
+  const fields = dividend.fields;
+  const endDateIdx = fields.indexOf('end_date');
+  const exDateIdx = fields.indexOf('ex_date');
+  const cashDivIdx = fields.indexOf('cash_div_tax');
+  if (endDateIdx < 0 || exDateIdx < 0 || cashDivIdx < 0) return null;
+
+  // Sum implemented cash dividends by fiscal year (one row per ex_date)
+  const byYear = new Map();
+  const seen = new Set();
+  dividend.items.forEach(item => {
+    const exDate = item[exDateIdx];
+    if (!exDate || exDate >= asOfDate || seen.has(exDate)) return;
+    seen.add(exDate);
+    const year = item[endDateIdx].substring(0, 4);
+    byYear.set(year, (byYear.get(year) || 0) + (item[cashDivIdx] || 0));
+  });
+
+  const years = [...byYear.keys()].sort((a, b) => b.localeCompare(a));
+  if (years.length < 2) return null;
+
+  const latest = byYear.get(years[0]);
+  const previous = byYear.get(years[1]);
+  return previous > 0 ? (latest / previous - 1) * 100 : null;
+}
+
+// Factor registry
+// dependencies: bundle keys to load; higherIsBetter: direction used when normalizing;
+// fillValue: value used when the raw value is missing (otherwise the stock is excluded)
+const FACTORS = {
+  dividendYield: {
+    label: '股息率',
+    dependencies: ['dailyBasic'],
+    higherIsBetter: true,
+    // If dividend yield is 0, use a small value to avoid complete exclusion
+    fillValue: 0.01,
+    compute: (bundle) => {
+      const value = fieldValue(bundle.dailyBasic, 'dv_ratio') || fieldValue(bundle.dailyBasic, 'dv_ttm');
+      return value ? value : null;
+    }
+  },
+  roce: {
+    label: 'ROCE',
+    dependencies: ['income', 'balanceSheet'],
+    higherIsBetter: true,
+    compute: (bundle, context) => computeRoce(bundle, context.code)
+  },
+  roe: {
+    label: 'ROE',
+    dependencies: ['finaIndicator'],
+    higherIsBetter: true,
+    compute: (bundle) => fieldValue(bundle.finaIndicator, 'roe')
+  },
+  peInverse: {
+    label: '市盈率倒数',
+    dependencies: ['dailyBasic'],
+    higherIsBetter: true,
+    compute: (bundle) => {
+      const pe = fieldValue(bundle.dailyBasic, 'pe_ttm');
+      return pe > 0 ? 100 / pe : null; // Earnings yield in %
+    }
+  },
+  pbInverse: {
+    label: '市净率倒数',
+    dependencies: ['dailyBasic'],
+    higherIsBetter: true,
+    compute: (bundle) => {
+      const pb = fieldValue(bundle.dailyBasic, 'pb');
+      return pb > 0 ? 1 / pb : null;
+    }
+  },
+  lowVol: {
+    label: '低波动',
+    dependencies: ['priceHistory'],
+    higherIsBetter: false, // Raw value is volatility; lower volatility scores higher
+    compute: (bundle) => computeVolatility(bundle.priceHistory)
+  },
+  fcfYield: {
+    label: '自由现金流收益率',
+    dependencies: ['cashflow', 'dailyBasic'],
+    higherIsBetter: true,
+    compute: (bundle) => computeFcfYield(bundle)
+  },
+  dividendGrowth: {
+    label: '股息增长率',
+    dependencies: ['dividend'],
+    higherIsBetter: true,
+    compute: (bundle, context) => computeDividendGrowth(bundle.dividend, context.asOfDate)
+  }
+};
+
+const DEFAULT_FACTOR_WEIGHTS = { dividendYield: 0.5, roce: 0.5 };
+
+// Validate a { factorKey: blendWeight } map; returns an error message or null
+function validateFactorWeights(factorWeights) {
+  if (!factorWeights || typeof factorWeights !== 'object' || Array.isArray(factorWeights)) {
+    return 'factors must be an object like {"dividendYield": 0.5, "roce": 0.5}';
+  }
+  const keys = Object.keys(factorWeights);
+  if (keys.length === 0) {
+    return 'factors must include at least one factor';
+  }
+  const unknown = keys.filter(key => !FACTORS[key]);
+  if (unknown.length > 0) {
+    return `Unknown factors: ${unknown.join(', ')}. Available: ${Object.keys(FACTORS).join(', ')}`;
+  }
+  const invalid = keys.filter(key => typeof factorWeights[key] !== 'number' || !(factorWeights[key] > 0));
+  if (invalid.length > 0) {
+    return `Factor weights must be positive numbers: ${invalid.join(', ')}`;
+  }
+  return null;
+}
+
+// Union of the data dependencies of the selected factors
+function getFactorDependencies(factorKeys) {
+  return [...new Set(factorKeys.flatMap(key => FACTORS[key].dependencies))];
+}
+
+// Compute the raw value of every selected factor from a loaded bundle
+function computeFactors(factorKeys, bundle, context) {
+  const values = {};
+  factorKeys.forEach(key => {
+    const value = FACTORS[key].compute(bundle, context);
+    values[key] = isValid(value) ? value : null;
+  });
+  return values;
+}
+
+// Describe the registry for clients (without compute functions)
+function describeFactors() {
+  return Object.keys(FACTORS).map(key => ({
+    key: key,
+    label: FACTORS[key].label,
+    dependencies: FACTORS[key].dependencies,
+    higherIsBetter: FACTORS[key].higherIsBetter
+  }));
+}
+
+module.exports = {
+  FACTORS,
+  DEFAULT_FACTOR_WEIGHTS,
+  validateFactorWeights,
+  getFactorDependencies,
+  computeFactors,
+  describeFactors,
+  dailyReturns
+};
@@ -0,0 +1,150 @@
+// Recorded Tushare fixtures
+// Each endpoint is one table, <fixtures dir>/<api_name>.json = { fields, items }, holding
+// every row recorded for it. A request is answered by filtering the table the way Tushare
+// filters its own data, so one recording serves any date range or stock inside it:
+//   start_date / end_date - range on the endpoint's date field (see DATE_FIELDS)
+//   period                - end_date of report endpoints
+//   any other param       - equality on the field of the same name (ts_code may list
+//                           several codes separated by commas); unknown params are ignored
+
+const fs = require('fs').promises;
+const path = require('path');
+const { isValidApiName } = require('./cache');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'tushare');
+
+const DATE_FIELDS = {
+  daily: 'trade_date',
+  adj_factor: 'trade_date',
+  daily_basic: 'trade_date',
+  fund_daily: 'trade_date',
+  index_daily: 'trade_date',
+  fund_nav: 'nav_date',
+  trade_cal: 'cal_date',
+  income: 'ann_date',
+  balancesheet: 'ann_date',
+  cashflow: 'ann_date',
+  fina_indicator: 'ann_date',
+  dividend: 'ann_date',
+  fund_portfolio: 'ann_date'
+};
+
+// Params that map to a differently named field
+const PARAM_FIELDS = { period: 'end_date' };
+// Values Tushare assumes when a param is omitted
+const DEFAULT_PARAMS = { stock_basic: { list_status: 'L' } };
+// Params that select columns or pages rather than rows
+const NON_FILTER_PARAMS = ['fields', 'limit', 'offset', 'start_date', 'end_date'];
+
+// api_name comes from requests (see lib/mock-tushare.js); anything but a Tushare api_name
+// (such as "../x") could point outside the fixtures directory
+function tableFile(dir, apiName) {
+  if (!isValidApiName(apiName)) throw new Error(`Invalid api_name: ${apiName}`);
+  return path.join(dir, `${apiName}.json`);
+}
+
+async function loadTable(dir, apiName) {
+  try {
+    return JSON.parse(await fs.readFile(tableFile(dir, apiName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// One row per line keeps fixture diffs readable
+async function saveTable(dir, apiName, table) {
+  await fs.mkdir(dir, { recursive: true });
+  const rows = table.items.map(item => `    ${JSON.stringify(item)}`).join(',\n');
+  const json = `{\n  "fields": ${JSON.stringify(table.fields)},\n  "items": [\n${rows}\n  ]\n}\n`;
+  await fs.writeFile(tableFile(dir, apiName), json);
+}
+
+// Rows of a table matching a request, as a Tushare { fields, items } result
+function queryTable(apiName, table, params = {}) {
+  const query = { ...(DEFAULT_PARAMS[apiName] || {}), ...params };
+  const fieldIdx = field => table.fields.indexOf(field);
+  const filters = [];
+
+  const dateIdx = fieldIdx(DATE_FIELDS[apiName]);
+  if (dateIdx >= 0 && query.start_date) filters.push(item => item[dateIdx] >= query.start_date);
+  if (dateIdx >= 0 && query.end_date) filters.push(item => item[dateIdx] <= query.end_date);
+
+  Object.keys(query)
+    .filter(key => !NON_FILTER_PARAMS.includes(key) && query[key] !== undefined && query[key] !== '')
+    .forEach(key => {
+      const idx = fieldIdx(PARAM_FIELDS[key] || key);
+      if (idx < 0) return;
+      const values = String(query[key]).split(',');
+      filters.push(item => values.includes(String(item[idx])));
+    });
+
+  let items = table.items.filter(item => filters.every(f => f(item)));
+  const offset = parseInt(query.offset, 10) || 0;
+  const limit = parseInt(query.limit, 10) || 0;
+  items = items.slice(offset, limit > 0 ? offset + limit : undefined);
+  return { fields: table.fields, items: items, has_more: false };
+}
+
+// Tables already read for replay, by file
+const loadedTables = new Map();
+
+// Answer a request from the fixtures; resolves to null when the endpoint has no table
+// Rejects for an api_name that is not a Tushare api_name
+async function replayFixture(dir, apiName, params) {
+  const file = tableFile(dir, apiName);
+  if (!loadedTables.has(file)) loadedTables.set(file, loadTable(dir, apiName));
+  const table = await loadedTables.get(file);
+  return table ? queryTable(apiName, table, params) : null;
+}
+
+// Pending writes per table file, so concurrent recordings do not overwrite each other
+const writeQueues = new Map();
+
+// Merge a live response into the endpoint's table
+// Columns missing on either side are filled with null; duplicate rows are skipped
+function recordFixture(dir, apiName, data) {
+  if (!data || !data.fields) return Promise.resolve();
+  let file;
+  try {
+    file = tableFile(dir, apiName);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const write = (writeQueues.get(file) || Promise.resolve()).then(() => mergeIntoTable(dir, apiName, data));
+  writeQueues.set(file, write.catch(() => {}));
+  return write;
+}
+
+async function mergeIntoTable(dir, apiName, data) {
+  const table = (await loadTable(dir, apiName)) || { fields: [], items: [] };
+
+  const newFields = data.fields.filter(field => !table.fields.includes(field));
+  if (newFields.length > 0) {
+    table.fields = [...table.fields, ...newFields];
+    table.items = table.items.map(item => [...item, ...newFields.map(() => null)]);
+  }
+
+  const seen = new Set(table.items.map(item => JSON.stringify(item)));
+  data.items.forEach(item => {
+    const row = table.fields.map(field => {
+      const idx = data.fields.indexOf(field);
+      return idx >= 0 && item[idx] !== undefined ? item[idx] : null;
+    });
+    const key = JSON.stringify(row);
+    if (!seen.has(key)) {
+      seen.add(key);
+      table.items.push(row);
+    }
+  });
+
+  await saveTable(dir, apiName, table);
+  loadedTables.delete(tableFile(dir, apiName));
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  queryTable,
+  replayFixture,
+  recordFixture
+};
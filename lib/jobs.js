@@ -0,0 +1,132 @@
+// In-memory store for asynchronous backtest jobs
+// A job runs a task in the background and reports progress by stage:
+//   queued -> running -> completed | failed
+// Listeners subscribe to 'progress' and 'done' events (used by the SSE endpoint).
+// Jobs live in this process only and are removed JOB_TTL_MS after they finish.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+function createJob(type, params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: type,
+    params: params,
+    status: 'queued',
+    progress: { stage: 'queued', label: '排队中', current: 0, total: 0, percent: 0 },
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    events: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Public view of a job (the result is only included when requested)
+function describeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: includeResult ? job.result : undefined,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Progress reporter for a task with weighted stages
+// stages: [{ key, label, weight }]; the overall percent counts finished stages by weight
+// plus the current stage's share. Returns (stageKey, current, total) => void.
+function createProgressReporter(stages, onProgress) {
+  const totalWeight = stages.reduce((sum, s) => sum + s.weight, 0);
+  return (stageKey, current = 0, total = 0) => {
+    const index = stages.findIndex(s => s.key === stageKey);
+    if (index < 0) return;
+    const stage = stages[index];
+    const done = stages.slice(0, index).reduce((sum, s) => sum + s.weight, 0);
+    const fraction = total > 0 ? Math.min(current / total, 1) : 0;
+    onProgress({
+      stage: stage.key,
+      label: stage.label,
+      current: current,
+      total: total,
+      percent: Math.round(((done + stage.weight * fraction) / totalWeight) * 100),
+      message: total > 0 ? `${stage.label} ${current}/${total}` : stage.label
+    });
+  };
+}
+
+function updateProgress(job, progress) {
+  job.progress = progress;
+  job.updatedAt = new Date().toISOString();
+  job.events.emit('progress', progress);
+}
+
+function finishJob(job, status, fields) {
+  Object.assign(job, fields, { status: status, updatedAt: new Date().toISOString() });
+  job.events.emit('done', describeJob(job, { includeResult: false }));
+  job.events.removeAllListeners();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// Run a task in the background
+// task(onProgress) resolves to { status, body } like an HTTP response; a 2xx status
+// completes the job with body.data, anything else fails it with the error body
+function runJob(job, task) {
+  job.status = 'running';
+  job.updatedAt = new Date().toISOString();
+
+  Promise.resolve()
+    .then(() => task(progress => updateProgress(job, progress)))
+    .then(({ status, body }) => {
+      if (status >= 200 && status < 300) {
+        finishJob(job, 'completed', {
+          result: body.data,
+          progress: { ...job.progress, percent: 100, message: '完成' }
+        });
+      } else {
+        finishJob(job, 'failed', { error: { status: status, ...body } });
+      }
+    })
+    .catch(error => {
+      console.error(`Job ${job.id} failed:`, error);
+      finishJob(job, 'failed', { error: { status: 500, error: 'Job failed', message: error.message } });
+    });
+}
+
+// Subscribe to a job's events; returns an unsubscribe function
+function subscribe(job, { onProgress, onDone }) {
+  job.events.on('progress', onProgress);
+  job.events.on('done', onDone);
+  return () => {
+    job.events.off('progress', onProgress);
+    job.events.off('done', onDone);
+  };
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  describeJob,
+  createProgressReporter,
+  runJob,
+  subscribe,
+  isFinished
+};
@@ -0,0 +1,166 @@
+// Risk and performance metrics for net value series
+// Return-like metrics (returns, volatility, drawdown, tracking error, alpha, win rate)
+// are in percent; ratios (Sharpe, Sortino, Calmar, information ratio, beta) are plain numbers.
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Sample standard deviation
+function std(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Ratio that returns null instead of Infinity/NaN when the denominator is zero
+function safeRatio(numerator, denominator) {
+  return denominator !== 0 && isFinite(numerator / denominator) ? numerator / denominator : null;
+}
+
+// Align two net value series on their common dates
+function alignSeries(seriesA, seriesB) {
+  const mapB = new Map(seriesB.map(d => [d.date, d.netValue]));
+  return seriesA
+    .filter(d => mapB.has(d.date))
+    .map(d => ({ date: d.date, a: d.netValue, b: mapB.get(d.date) }))
+    .sort((x, y) => x.date.localeCompare(y.date));
+}
+
+// Daily simple returns of a value array
+function dailyReturns(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+  }
+  return returns;
+}
+
+// Max drawdown with peak, trough and recovery dates (recoveryDate is null if not recovered)
+function calculateMaxDrawdown(series) {
+  let peak = null;
+  let maxDrawdown = 0;
+  let peakDate = null;
+  let troughDate = null;
+  let maxPeakValue = null;
+
+  series.forEach(d => {
+    if (peak === null || d.netValue > peak.netValue) {
+      peak = d;
+    }
+    const drawdown = d.netValue / peak.netValue - 1;
+    if (drawdown < maxDrawdown) {
+      maxDrawdown = drawdown;
+      peakDate = peak.date;
+      troughDate = d.date;
+      maxPeakValue = peak.netValue;
+    }
+  });
+
+  let recoveryDate = null;
+  if (troughDate) {
+    const recovered = series.find(d => d.date > troughDate && d.netValue >= maxPeakValue);
+    recoveryDate = recovered ? recovered.date : null;
+  }
+
+  return {
+    maxDrawdown: maxDrawdown * 100,
+    peakDate: peakDate,
+    troughDate: troughDate,
+    recoveryDate: recoveryDate
+  };
+}
+
+// Absolute metrics for one net value series
+// riskFreeRate: annual risk-free rate in percent
+// initialValue: net value before the first point, when the first point already includes a
+// loss such as the cost of building the portfolio (backtests start from a capital of 1);
+// the return from it to the first point then counts as the first day's return
+function calculateSeriesMetrics(series, riskFreeRate = 0, initialValue = null) {
+  const sorted = [...series].sort((a, b) => a.date.localeCompare(b.date));
+  const values = sorted.map(d => d.netValue);
+  const fromInitialValue = initialValue !== null && values.length > 0 && values[0] !== initialValue;
+  const returns = dailyReturns(fromInitialValue ? [initialValue, ...values] : values);
+  const dailyRf = riskFreeRate / 100 / TRADING_DAYS_PER_YEAR;
+
+  if (returns.length === 0) {
+    return null;
+  }
+
+  const totalReturn = values[values.length - 1] / (fromInitialValue ? initialValue : values[0]) - 1;
+  const annualizedReturn = Math.pow(1 + totalReturn, TRADING_DAYS_PER_YEAR / returns.length) - 1;
+  const annualizedVolatility = std(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const excessReturns = returns.map(r => r - dailyRf);
+  const downsideDeviation = Math.sqrt(mean(excessReturns.map(r => Math.min(0, r) ** 2))) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const drawdown = calculateMaxDrawdown(sorted);
+
+  return {
+    totalReturn: totalReturn * 100,
+    annualizedReturn: annualizedReturn * 100,
+    annualizedVolatility: annualizedVolatility * 100,
+    sharpeRatio: safeRatio(mean(excessReturns) * TRADING_DAYS_PER_YEAR, annualizedVolatility),
+    sortinoRatio: safeRatio(mean(excessReturns) * TRADING_DAYS_PER_YEAR, downsideDeviation),
+    maxDrawdown: drawdown.maxDrawdown,
+    maxDrawdownPeakDate: drawdown.peakDate,
+    maxDrawdownTroughDate: drawdown.troughDate,
+    maxDrawdownRecoveryDate: drawdown.recoveryDate,
+    calmarRatio: safeRatio(annualizedReturn * 100, Math.abs(drawdown.maxDrawdown)),
+    tradingDays: values.length
+  };
+}
+
+// Relative metrics of a portfolio against a benchmark (on common dates)
+function calculateRelativeMetrics(portfolio, benchmark, riskFreeRate = 0) {
+  const aligned = alignSeries(portfolio, benchmark);
+  const portfolioReturns = dailyReturns(aligned.map(d => d.a));
+  const benchmarkReturns = dailyReturns(aligned.map(d => d.b));
+  const dailyRf = riskFreeRate / 100 / TRADING_DAYS_PER_YEAR;
+
+  if (portfolioReturns.length < 2) {
+    return null;
+  }
+
+  const activeReturns = portfolioReturns.map((r, i) => r - benchmarkReturns[i]);
+  const trackingError = std(activeReturns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  const meanP = mean(portfolioReturns);
+  const meanB = mean(benchmarkReturns);
+  const covariance = portfolioReturns.reduce((sum, r, i) => sum + (r - meanP) * (benchmarkReturns[i] - meanB), 0) / (portfolioReturns.length - 1);
+  const variance = std(benchmarkReturns) ** 2;
+  const beta = safeRatio(covariance, variance);
+
+  // Jensen's alpha, annualized
+  const alpha = beta !== null
+    ? ((meanP - dailyRf) - beta * (meanB - dailyRf)) * TRADING_DAYS_PER_YEAR
+    : null;
+
+  return {
+    trackingError: trackingError * 100,
+    informationRatio: safeRatio(mean(activeReturns) * TRADING_DAYS_PER_YEAR, trackingError),
+    beta: beta,
+    alpha: alpha !== null ? alpha * 100 : null,
+    winRate: (activeReturns.filter(r => r > 0).length / activeReturns.length) * 100,
+    commonDays: aligned.length
+  };
+}
+
+// Full metrics suite for a portfolio and its benchmark
+function calculateMetrics(portfolio, benchmark, riskFreeRate = 0) {
+  return {
+    riskFreeRate: riskFreeRate,
+    // The portfolio starts from a capital of 1, before the initial build cost
+    portfolio: calculateSeriesMetrics(portfolio, riskFreeRate, 1),
+    benchmark: calculateSeriesMetrics(benchmark, riskFreeRate),
+    relative: calculateRelativeMetrics(portfolio, benchmark, riskFreeRate)
+  };
+}
+
+module.exports = {
+  TRADING_DAYS_PER_YEAR,
+  calculateMaxDrawdown,
+  calculateSeriesMetrics,
+  calculateRelativeMetrics,
+  calculateMetrics
+};
@@ -0,0 +1,55 @@
+// Local mock of the Tushare Pro HTTP API backed by the recorded fixtures
+// Speaks the same protocol: POST {api_name, token, params} -> {code, msg, data: {fields, items}}
+// Run standalone with `npm run mock` and point the server at it:
+//   TUSHARE_API_URL=http://localhost:7001 TUSHARE_TOKEN=mock npm start
+
+const express = require('express');
+const { DEFAULT_FIXTURES_DIR, replayFixture } = require('./fixtures');
+const { isValidApiName } = require('./cache');
+
+const DEFAULT_MOCK_PORT = 7001;
+
+// Create the mock app; requests must carry a token (any value unless token is given)
+function createMockTushareApp({ fixturesDir = DEFAULT_FIXTURES_DIR, token = null } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/', async (req, res) => {
+    const { api_name: apiName, token: requestToken, params = {} } = req.body || {};
+
+    if (!requestToken || (token && requestToken !== token)) {
+      return res.json({ request_id: null, code: 40101, msg: '您的token不对，请确认。', data: null });
+    }
+
+    if (!isValidApiName(apiName)) {
+      return res.json({ request_id: null, code: 40102, msg: `请指定正确的接口名（${apiName}）`, data: null });
+    }
+
+    try {
+      const data = await replayFixture(fixturesDir, apiName, params || {});
+      if (!data) {
+        return res.json({ request_id: null, code: 40102, msg: `请指定正确的接口名（没有 ${apiName} 的录制数据）`, data: null });
+      }
+      res.json({ request_id: null, code: 0, msg: '', data: data });
+    } catch (error) {
+      console.error(`Mock ${apiName} error:`, error.message);
+      res.json({ request_id: null, code: 50000, msg: error.message, data: null });
+    }
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_TUSHARE_PORT || DEFAULT_MOCK_PORT;
+  const fixturesDir = process.env.TUSHARE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  createMockTushareApp({ fixturesDir }).listen(port, () => {
+    console.log(`Mock Tushare API running on http://localhost:${port}`);
+    console.log(`Serving fixtures from ${fixturesDir}`);
+  });
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  createMockTushareApp
+};
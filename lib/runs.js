@@ -0,0 +1,117 @@
+// Saved backtest runs
+// Every completed backtest is stored as a JSON file under <runs dir>/<id>.json with its
+// type, request parameters and full result (net value series, statistics, weights), so
+// runs survive restarts and can be listed, compared, exported and deleted later.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const RUNS_DIR = process.env.RUNS_DIR || path.join(__dirname, '..', 'data', 'runs');
+const RUNS_ENABLED = process.env.SAVE_RUNS !== 'off';
+
+// Run ids are job ids (UUIDs); anything else could point outside the runs directory
+const RUN_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function runFile(id) {
+  return path.join(RUNS_DIR, `${id}.json`);
+}
+
+// Short description of a run for the list, e.g. "红利低波ETF 20240102-20241231 Dual-Factor (股息率 50% + ROCE 50%)"
+function describeRun(run) {
+  const { result } = run;
+  const dates = result.portfolio || [];
+  const statistics = result.statistics || {};
+  const metrics = statistics.metrics || {};
+  const portfolio = metrics.portfolio || {};
+  const etfName = result.etfInfo ? result.etfInfo.name : null;
+  const range = dates.length > 0 ? `${dates[0].date}-${dates[dates.length - 1].date}` : '';
+
+  return {
+    id: run.id,
+    type: run.type,
+    createdAt: run.createdAt,
+    name: [etfName, range, statistics.strategy || statistics.weightMode].filter(Boolean).join(' '),
+    etfCode: result.etfInfo ? result.etfInfo.code : null,
+    etfName: etfName,
+    startDate: dates.length > 0 ? dates[0].date : null,
+    endDate: dates.length > 0 ? dates[dates.length - 1].date : null,
+    strategy: statistics.strategy || null,
+    weightMode: statistics.weightMode || null,
+    rebalance: statistics.rebalance || null,
+    stockCount: statistics.stockCount || null,
+    portfolioReturn: statistics.portfolioReturn !== undefined ? parseFloat(statistics.portfolioReturn) : null,
+    etfReturn: statistics.etfReturn !== undefined ? parseFloat(statistics.etfReturn) : null,
+    annualizedReturn: portfolio.annualizedReturn !== undefined ? portfolio.annualizedReturn : null,
+    sharpeRatio: portfolio.sharpeRatio !== undefined ? portfolio.sharpeRatio : null,
+    maxDrawdown: portfolio.maxDrawdown !== undefined ? portfolio.maxDrawdown : null
+  };
+}
+
+// Store a completed run: { id, type, createdAt, params, result }
+// Returns the run summary, or null when saving is disabled or fails
+async function saveRun(run) {
+  if (!RUNS_ENABLED) return null;
+  if (!RUN_ID_PATTERN.test(run.id)) throw new Error(`Invalid run id: ${run.id}`);
+
+  const file = runFile(run.id);
+  try {
+    await fs.mkdir(RUNS_DIR, { recursive: true });
+    // Write then rename so readers never see a partial file
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ ...run, savedAt: new Date().toISOString() }));
+    await fs.rename(tmpFile, file);
+    return describeRun(run);
+  } catch (error) {
+    console.error(`Run save error for ${run.id}:`, error.message);
+    return null;
+  }
+}
+
+// Full run, or null when it does not exist
+async function getRun(id) {
+  if (!RUN_ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(runFile(id), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Run read error for ${id}:`, error.message);
+    return null;
+  }
+}
+
+// Summaries of all saved runs, newest first (unreadable files are skipped)
+async function listRuns() {
+  let files;
+  try {
+    files = await fs.readdir(RUNS_DIR);
+  } catch (error) {
+    return [];
+  }
+
+  const runs = [];
+  for (const fileName of files.filter(f => f.endsWith('.json'))) {
+    const run = await getRun(path.basename(fileName, '.json'));
+    if (run && run.result) runs.push(describeRun(run));
+  }
+  return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Delete a run; returns false when it does not exist
+async function deleteRun(id) {
+  if (!RUN_ID_PATTERN.test(id)) return false;
+  try {
+    await fs.unlink(runFile(id));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return false;
+  }
+}
+
+module.exports = {
+  RUNS_DIR,
+  describeRun,
+  saveRun,
+  getRun,
+  listRuns,
+  deleteRun
+};
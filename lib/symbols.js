@@ -0,0 +1,156 @@
+// Stock code → ts_code resolution
+// Codes are looked up in the stock_basic list (listed, delisted and paused stocks), which
+// is the authority on which exchange a code trades on. When the list is unavailable, or
+// for ETF holdings missing from it, the exchange is inferred from the board prefix.
+// The list also carries every stock's name, industry and listing and delisting dates.
+
+const HOUR = 60 * 60 * 1000;
+// How long the stock list is kept in memory (stock_basic is also cached on disk)
+const STOCK_LIST_TTL_MS = 24 * HOUR;
+
+// A-share exchanges; other suffixes (e.g. .HK in ETF holdings) are passed through as is
+const A_SHARE_EXCHANGES = ['SH', 'SZ', 'BJ'];
+
+// Board prefixes of each exchange
+const BOARD_PREFIXES = [
+  // Shanghai: main board 600/601/603/605, STAR Market 688/689, B shares 900
+  { exchange: 'SH', prefixes: ['600', '601', '603', '605', '688', '689', '900'] },
+  // Shenzhen: main board 000/001/003/004 (002 is the former SME board), ChiNext 300/301/302, B shares 200/201
+  { exchange: 'SZ', prefixes: ['000', '001', '002', '003', '004', '300', '301', '302', '200', '201'] },
+  // Beijing: 8xxxxx and 43xxxx moved over from the NEEQ, 92xxxx for new listings
+  { exchange: 'BJ', prefixes: ['8', '43', '92'] }
+];
+
+// Parse user input such as 600036, 600036.SH, 600036.sh or SH600036
+// Returns { symbol, exchange } (exchange null when not given), or null when unparseable.
+// A-share codes with fewer than 6 digits are zero-padded (spreadsheets drop leading zeros).
+function parseStockCode(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+  const code = String(input).trim().toUpperCase();
+
+  let match = code.match(/^(\d{1,6})(?:\.([A-Z]{2,3}))?$/);
+  if (match) {
+    const exchange = match[2] || null;
+    const isAShare = !exchange || A_SHARE_EXCHANGES.includes(exchange);
+    return { symbol: isAShare ? match[1].padStart(6, '0') : match[1], exchange: exchange };
+  }
+  match = code.match(/^(SH|SZ|BJ)\.?(\d{6})$/);
+  if (match) {
+    return { symbol: match[2], exchange: match[1] };
+  }
+  return null;
+}
+
+// Exchange of a 6-digit symbol from its board prefix, or null for an unknown board
+function exchangeForSymbol(symbol) {
+  const board = BOARD_PREFIXES.find(b => b.prefixes.some(prefix => symbol.startsWith(prefix)));
+  return board ? board.exchange : null;
+}
+
+// Rule-based conversion of a fund_portfolio symbol or user code to ts_code
+// Returns null when the board is unknown; codes with a suffix keep it
+function symbolToTsCode(input) {
+  const parsed = parseStockCode(input);
+  if (!parsed) return null;
+  const exchange = parsed.exchange || exchangeForSymbol(parsed.symbol);
+  return exchange ? `${parsed.symbol}.${exchange}` : null;
+}
+
+// Create a resolver backed by a stock list
+// loadStockList() resolves to [{ tsCode, name, industry, listStatus, listDate, delistDate }]
+// from stock_basic, or null when unavailable; it is called at most once per STOCK_LIST_TTL_MS
+function createSymbolResolver(loadStockList, { ttlMs = STOCK_LIST_TTL_MS } = {}) {
+  let stockList = null;
+  let stocksByCode = null;
+  let loadedAt = 0;
+  let loading = null;
+
+  // Map of symbol → ts_code, or null when the list could not be loaded
+  async function getStockList() {
+    if (stockList && Date.now() - loadedAt < ttlMs) return stockList;
+    if (!loading) {
+      loading = (async () => {
+        const stocks = await loadStockList();
+        if (stocks && stocks.length > 0) {
+          stockList = new Map(stocks.map(s => [s.tsCode.split('.')[0], s.tsCode]));
+          stocksByCode = new Map(stocks.map(s => [s.tsCode, s]));
+          loadedAt = Date.now();
+        }
+        return stockList;
+      })().finally(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  // Resolve codes to ts_codes
+  // strict (user input): only A-share codes known to stock_basic are accepted (any
+  // A-share board when the list is unavailable), and a given suffix must be right.
+  // Otherwise (ETF holdings) unknown codes fall back to the board rules, and codes
+  // with another exchange's suffix are kept as they are.
+  // Resolves to { codes: [ts_code] in input order without duplicates, invalid: [{ code, reason }],
+  // resolved: [ts_code or null] aligned with inputs }
+  async function resolveStockCodes(inputs, { strict = false } = {}) {
+    const list = await getStockList();
+    const resolved = [];
+    const invalid = [];
+
+    inputs.forEach(input => {
+      const parsed = parseStockCode(input);
+      const reject = reason => {
+        invalid.push({ code: input, reason: reason });
+        resolved.push(null);
+      };
+
+      if (!parsed) return reject('代码格式不正确');
+      if (parsed.exchange && !A_SHARE_EXCHANGES.includes(parsed.exchange)) {
+        if (strict) return reject(`不支持 .${parsed.exchange} 市场`);
+        resolved.push(`${parsed.symbol}.${parsed.exchange}`);
+        return;
+      }
+
+      let tsCode = list ? list.get(parsed.symbol) : null;
+      if (!tsCode) {
+        if (strict && list) return reject('股票列表中不存在该代码');
+        tsCode = symbolToTsCode(parsed.symbol);
+        if (!tsCode) return reject('无法识别代码所属交易所');
+      }
+      if (parsed.exchange && `${parsed.symbol}.${parsed.exchange}` !== tsCode) {
+        if (strict) return reject(`交易所后缀不正确，应为 ${tsCode}`);
+        console.warn(`Correcting ${input} to ${tsCode}`);
+      }
+      resolved.push(tsCode);
+    });
+
+    return { codes: [...new Set(resolved.filter(code => code))], invalid: invalid, resolved: resolved };
+  }
+
+  // Listing and delisting dates of a ts_code: { listDate, delistDate, listStatus }, or
+  // null when the stock is not in the list or the list is unavailable
+  async function getListing(tsCode) {
+    await getStockList();
+    const stock = stocksByCode && stocksByCode.get(tsCode);
+    if (!stock) return null;
+    return { listDate: stock.listDate || null, delistDate: stock.delistDate || null, listStatus: stock.listStatus };
+  }
+
+  // Name and industry of a ts_code: { name, industry } (null when stock_basic has none), or
+  // null when the stock is not in the list or the list is unavailable
+  async function getStockInfo(tsCode) {
+    await getStockList();
+    const stock = stocksByCode && stocksByCode.get(tsCode);
+    if (!stock) return null;
+    return { name: stock.name || null, industry: stock.industry || null };
+  }
+
+  return { resolveStockCodes, getListing, getStockInfo };
+}
+
+module.exports = {
+  STOCK_LIST_TTL_MS,
+  parseStockCode,
+  exchangeForSymbol,
+  symbolToTsCode,
+  createSymbolResolver
+};
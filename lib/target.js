@@ -0,0 +1,190 @@
+// Target portfolio for live rebalancing
+// Turns target weights into share counts in whole board lots (A-shares trade in lots of
+// 100 shares), and lists the trades that move a current position to the target. Current
+// positions come from an uploaded file: CSV text with a code and a share count per line
+// (broker exports with a header row such as 证券代码,证券名称,股票余额 are recognised),
+// or an array of { code, shares }.
+
+const LOT_SIZE = 100;
+
+// Header names of the code and share count columns (lowercase)
+const CODE_COLUMNS = ['code', 'ts_code', 'symbol', 'stock', '代码', '股票代码', '证券代码'];
+const SHARES_COLUMNS = ['shares', 'quantity', 'qty', 'volume', 'position', '数量', '股数', '持仓', '持仓数量', '持股数量', '股票余额', '证券数量', '当前持仓', '实际数量'];
+
+// Amounts in yuan are rounded to cents
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Split a CSV line on commas or tabs, honouring double quotes
+function splitLine(line) {
+  const delimiter = line.includes('\t') ? '\t' : ',';
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  // Excel-safe exports write codes as ="600036" to keep leading zeros
+  return fields.map(f => f.trim().replace(/^="?(.*?)"?$/, '$1').trim());
+}
+
+function parseShares(value) {
+  const text = typeof value === 'string' ? value.replace(/,/g, '').trim() : value;
+  if (text === '' || text === null || text === undefined) return null;
+  const shares = Number(text);
+  return Number.isInteger(shares) && shares >= 0 ? shares : null;
+}
+
+function parsePositionText(text) {
+  const lines = text.replace(/^\ufeff/, '').split(/\r?\n/)
+    .map((line, i) => ({ number: i + 1, fields: splitLine(line.trim()) }))
+    .filter(line => line.fields.some(f => f !== '') && !line.fields[0].startsWith('#'));
+
+  let codeIdx = 0;
+  let sharesIdx = 1;
+  if (lines.length > 0) {
+    const header = lines[0].fields.map(f => f.toLowerCase());
+    const headerCode = header.findIndex(f => CODE_COLUMNS.includes(f));
+    const headerShares = header.findIndex(f => SHARES_COLUMNS.includes(f));
+    if (headerCode >= 0 || headerShares >= 0) {
+      if (headerCode < 0 || headerShares < 0) {
+        return { positions: [], errors: [{ line: lines[0].number, reason: '表头缺少代码列或数量列' }] };
+      }
+      codeIdx = headerCode;
+      sharesIdx = headerShares;
+      lines.shift();
+    }
+  }
+
+  const positions = [];
+  const errors = [];
+  lines.forEach(line => {
+    const code = line.fields[codeIdx] || '';
+    const shares = parseShares(line.fields[sharesIdx]);
+    if (!code) {
+      errors.push({ line: line.number, reason: '缺少股票代码' });
+    } else if (shares === null) {
+      errors.push({ line: line.number, reason: `持仓数量无效（${line.fields[sharesIdx] || ''}）` });
+    } else {
+      positions.push({ code: code, shares: shares });
+    }
+  });
+  return { positions, errors };
+}
+
+// Parse current positions from CSV text or an array of { code, shares }
+// Returns { positions: [{ code, shares }], errors: [{ line, reason }] }; line is 1-based
+// (the array index + 1 for arrays). Rows with 0 shares are kept.
+function parsePositions(input) {
+  if (input === null || input === undefined || input === '') return { positions: [], errors: [] };
+  if (typeof input === 'string') return parsePositionText(input);
+  if (!Array.isArray(input)) {
+    return { positions: [], errors: [{ line: null, reason: '持仓须为CSV文本或 { code, shares } 数组' }] };
+  }
+
+  const positions = [];
+  const errors = [];
+  input.forEach((item, i) => {
+    const shares = item && typeof item === 'object' ? parseShares(item.shares) : null;
+    if (!item || typeof item !== 'object' || typeof item.code !== 'string' || item.code.trim() === '') {
+      errors.push({ line: i + 1, reason: '缺少股票代码' });
+    } else if (shares === null) {
+      errors.push({ line: i + 1, reason: `持仓数量无效（${item.shares}）` });
+    } else {
+      positions.push({ code: item.code.trim(), shares: shares });
+    }
+  });
+  return { positions, errors };
+}
+
+// Share counts in whole lots for target weights { code: weight } (summing to 1) and
+// prices { code: price }; stocks without a positive price are skipped
+// Each target is first rounded down to whole lots; the remaining cash then buys one more
+// lot of the stocks whose shortfall is at least half a lot, largest shortfall first, so
+// every position ends up as close to its target as the capital allows.
+// Returns { shares: { code: shares }, invested, cash }
+function allocateLots(weights, prices, capital, { lotSize = LOT_SIZE } = {}) {
+  const codes = Object.keys(weights).filter(code => weights[code] > 0 && prices[code] > 0);
+  const shares = {};
+  let invested = 0;
+
+  codes.forEach(code => {
+    const lots = Math.floor(weights[code] * capital / (prices[code] * lotSize));
+    shares[code] = lots * lotSize;
+    invested += shares[code] * prices[code];
+  });
+
+  const shortfall = code => weights[code] * capital - shares[code] * prices[code];
+  codes
+    .filter(code => shortfall(code) >= prices[code] * lotSize / 2)
+    .sort((a, b) => shortfall(b) - shortfall(a))
+    .forEach(code => {
+      const lotValue = prices[code] * lotSize;
+      if (invested + lotValue <= capital) {
+        shares[code] += lotSize;
+        invested += lotValue;
+      }
+    });
+
+  return { shares, invested: roundMoney(invested), cash: roundMoney(capital - invested) };
+}
+
+// Trades from current to target share counts ({ code: shares } each) at prices { code: price }
+// Stocks held but not in the target are sold in full. Buys must be whole lots while an odd
+// lot can only be sold, so a buy on top of an odd-lot holding is rounded down to whole lots
+// and the holding ends below its target by less than a lot (resultingShares).
+// Sells come first, as they fund the buys.
+// Returns [{ code, action: 'buy' | 'sell', shares, price, value, currentShares, targetShares,
+// resultingShares }] with value the trade value (null without a price)
+function planTrades(current, target, prices, { lotSize = LOT_SIZE } = {}) {
+  const codes = [...new Set([...Object.keys(current), ...Object.keys(target)])];
+  return codes
+    .map(code => {
+      const currentShares = current[code] || 0;
+      const targetShares = target[code] || 0;
+      const action = targetShares > currentShares ? 'buy' : 'sell';
+      const shares = action === 'buy'
+        ? Math.floor((targetShares - currentShares) / lotSize) * lotSize
+        : currentShares - targetShares;
+      const price = prices[code] > 0 ? prices[code] : null;
+      return {
+        code: code,
+        action: action,
+        shares: shares,
+        price: price,
+        value: price === null ? null : roundMoney(shares * price),
+        currentShares: currentShares,
+        targetShares: targetShares,
+        resultingShares: action === 'buy' ? currentShares + shares : targetShares
+      };
+    })
+    .filter(trade => trade.shares > 0)
+    .sort((a, b) => (a.action === b.action ? (b.value || 0) - (a.value || 0) : (a.action === 'sell' ? -1 : 1)));
+}
+
+module.exports = {
+  LOT_SIZE,
+  roundMoney,
+  parsePositions,
+  allocateLots,
+  planTrades
+};
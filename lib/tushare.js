@@ -0,0 +1,291 @@
+// Tushare Pro client
+// - Per-endpoint token buckets keep requests under Tushare's per-minute quotas. The quota
+//   of an endpoint is lowered to the limit quoted in a rate-limit message when one arrives.
+// - Transient errors (rate limits, network failures, HTTP 5xx) are retried with
+//   exponential backoff; permanent errors (no permission, bad token, daily quota,
+//   invalid params) fail immediately. A request that gets no response within the timeout
+//   is aborted and counts as a network error.
+// - Calls that still fail are recorded in the failure log of the current run
+//   (see trackFailures) so a backtest can report which stocks lost data and why.
+// - mode 'record' merges every live response into the fixtures (lib/fixtures.js);
+//   mode 'replay' answers from the fixtures only, without network or token.
+
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_FIXTURES_DIR, replayFixture, recordFixture } = require('./fixtures');
+
+const MINUTE = 60 * 1000;
+
+// Default per-minute quota of every endpoint (Tushare's limit at 2000 points)
+const DEFAULT_QUOTA = 200;
+// Requests an endpoint may send back to back before the bucket throttles
+const DEFAULT_BURST = 5;
+const DEFAULT_MAX_RETRIES = 4;
+// First backoff delay (doubled on each retry, capped at MAX_BACKOFF_MS)
+const NETWORK_BACKOFF_MS = 1000;
+const RATE_LIMIT_BACKOFF_MS = 10000;
+const MAX_BACKOFF_MS = 60000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+const CLIENT_MODES = ['live', 'record', 'replay'];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Error from a Tushare call
+// kind: rateLimit | network | permission | quota | api; transient errors are worth retrying
+class TushareError extends Error {
+  constructor(message, { apiName, kind, code = null, attempts = 1 }) {
+    super(message);
+    this.name = 'TushareError';
+    this.apiName = apiName;
+    this.kind = kind;
+    this.code = code;
+    this.attempts = attempts;
+    this.transient = kind === 'rateLimit' || kind === 'network';
+  }
+}
+
+// Classify a non-zero Tushare response by its message
+function classifyApiError(msg = '') {
+  // Rate-limit messages also mention 权限 (a link to the permission docs), so check them first
+  if (/每分钟最多访问|每小时最多访问|访问频率|too many/i.test(msg)) return 'rateLimit';
+  if (/每天最多访问|今日.*次数/.test(msg)) return 'quota';
+  if (/权限|积分|token/i.test(msg)) return 'permission';
+  return 'api';
+}
+
+// Per-minute quota quoted in a rate-limit message, e.g. "每分钟最多访问该接口200次"
+function parseQuota(msg = '') {
+  const match = msg.match(/每分钟最多访问该接口(\d+)次/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function toTushareError(error, apiName) {
+  if (error instanceof TushareError) return error;
+  const status = error.response && error.response.status;
+  const isNetwork = !error.response && (NETWORK_ERROR_CODES.includes(error.code) || error.request);
+  if (status === 429) {
+    return new TushareError(error.message, { apiName, kind: 'rateLimit', code: status });
+  }
+  if (isNetwork || status >= 500) {
+    return new TushareError(error.message, { apiName, kind: 'network', code: status || error.code || null });
+  }
+  return new TushareError(error.message, { apiName, kind: 'api', code: status || null });
+}
+
+// Token bucket refilled so that no 60-second window exceeds the quota:
+// burst + refill over a minute = quota
+class TokenBucket {
+  constructor(quota, burst = DEFAULT_BURST) {
+    this.setQuota(quota, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  setQuota(quota, burst = DEFAULT_BURST) {
+    this.quota = quota;
+    this.capacity = Math.max(1, Math.min(burst, Math.floor(quota / 2)));
+    this.refillPerMs = Math.max(quota - this.capacity, 1) / MINUTE;
+    this.tokens = Math.min(this.tokens === undefined ? this.capacity : this.tokens, this.capacity);
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Resolves when a token is available; callers are served in order
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await delay(Math.ceil((1 - this.tokens) / this.refillPerMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  // Empty the bucket after a rate-limit response
+  drain() {
+    this.refill();
+    this.tokens = Math.min(this.tokens, 0);
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(error, attempt) {
+  const base = error.kind === 'rateLimit' ? RATE_LIMIT_BACKOFF_MS : NETWORK_BACKOFF_MS;
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.min(base * 2 ** attempt, MAX_BACKOFF_MS) * jitter;
+}
+
+// Per-minute quotas from TUSHARE_RATE_LIMITS, e.g. {"default": 200, "daily": 500}
+function parseQuotaConfig(value) {
+  if (!value) return {};
+  try {
+    const quotas = JSON.parse(value);
+    const valid = Object.entries(quotas).filter(([, quota]) => Number.isInteger(quota) && quota > 0);
+    return Object.fromEntries(valid);
+  } catch (error) {
+    console.warn('Ignoring invalid TUSHARE_RATE_LIMITS:', error.message);
+    return {};
+  }
+}
+
+const failureLogs = new AsyncLocalStorage();
+
+// Run fn with a fresh failure log; resolves to { result, failures }
+async function trackFailures(fn) {
+  const failures = [];
+  const result = await failureLogs.run(failures, fn);
+  return { result, failures };
+}
+
+function recordFailure(apiName, params, error) {
+  const failures = failureLogs.getStore();
+  if (!failures) return;
+  failures.push({
+    api: apiName,
+    code: (params && params.ts_code) || null,
+    kind: error.kind,
+    transient: error.transient,
+    attempts: error.attempts,
+    message: error.message
+  });
+}
+
+// Group a failure log by stock for API responses
+// Failures not tied to a stock (calendar, index, fund lists) are listed under other
+function summarizeFailures(failures) {
+  const byCode = new Map();
+  const other = [];
+  failures.forEach(f => {
+    const error = { api: f.api, kind: f.kind, transient: f.transient, attempts: f.attempts, message: f.message };
+    if (!f.code) {
+      other.push(error);
+      return;
+    }
+    if (!byCode.has(f.code)) byCode.set(f.code, []);
+    byCode.get(f.code).push(error);
+  });
+
+  return {
+    total: failures.length,
+    transient: failures.filter(f => f.transient).length,
+    permanent: failures.filter(f => !f.transient).length,
+    stocks: [...byCode.entries()].map(([code, errors]) => ({ code: code, errors: errors })),
+    other: other
+  };
+}
+
+// Create a client; cache is { getCached, setCached } (see lib/cache.js) and is only
+// used in live mode, so recordings and replays always see the fixtures
+function createTushareClient({
+  token,
+  url = 'http://api.tushare.pro',
+  cache = null,
+  quotas = parseQuotaConfig(process.env.TUSHARE_RATE_LIMITS),
+  maxRetries = DEFAULT_MAX_RETRIES,
+  timeout = REQUEST_TIMEOUT_MS,
+  mode = process.env.TUSHARE_MODE || 'live',
+  fixturesDir = process.env.TUSHARE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+} = {}) {
+  if (!CLIENT_MODES.includes(mode)) {
+    throw new Error(`TUSHARE_MODE must be one of: ${CLIENT_MODES.join(', ')}`);
+  }
+  const buckets = new Map();
+  const useCache = cache && mode === 'live';
+
+  function bucketFor(apiName) {
+    if (!buckets.has(apiName)) {
+      buckets.set(apiName, new TokenBucket(quotas[apiName] || quotas.default || DEFAULT_QUOTA));
+    }
+    return buckets.get(apiName);
+  }
+
+  async function request(apiName, params) {
+    const bucket = bucketFor(apiName);
+    await bucket.take();
+
+    let response;
+    try {
+      response = await axios.post(url, {
+        api_name: apiName,
+        token: token,
+        params: params,
+        fields: ''
+      }, { timeout: timeout });
+    } catch (error) {
+      throw toTushareError(error, apiName);
+    }
+
+    if (response.data.code !== 0) {
+      const msg = response.data.msg || 'Tushare API error';
+      const kind = classifyApiError(msg);
+      if (kind === 'rateLimit') {
+        const quota = parseQuota(msg);
+        if (quota && quota < bucket.quota) {
+          console.warn(`${apiName}: lowering quota to ${quota}/min`);
+          bucket.setQuota(quota);
+        }
+        bucket.drain();
+      }
+      throw new TushareError(msg, { apiName, kind, code: response.data.code });
+    }
+    return response.data.data;
+  }
+
+  async function replay(apiName, params) {
+    const data = await replayFixture(fixturesDir, apiName, params);
+    if (!data) {
+      throw new TushareError(`No fixture recorded for ${apiName}`, { apiName, kind: 'api' });
+    }
+    return data;
+  }
+
+  // Call an endpoint, serving from the cache when available
+  async function call(apiName, params) {
+    if (useCache) {
+      const cached = await cache.getCached(apiName, params);
+      if (cached !== undefined) return cached;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = mode === 'replay' ? await replay(apiName, params) : await request(apiName, params);
+        if (useCache) await cache.setCached(apiName, params, data);
+        if (mode === 'record') await recordFixture(fixturesDir, apiName, data);
+        return data;
+      } catch (error) {
+        error.attempts = attempt + 1;
+        if (!error.transient || attempt >= maxRetries) {
+          console.error(`Tushare ${apiName} ${error.kind} error after ${attempt + 1} attempt(s):`, error.message);
+          recordFailure(apiName, params, error);
+          throw error;
+        }
+        const wait = backoffDelay(error, attempt);
+        console.warn(`Tushare ${apiName} ${error.kind} error, retrying in ${Math.round(wait)}ms:`, error.message);
+        await delay(wait);
+      }
+    }
+  }
+
+  return { call, mode };
+}
+
+module.exports = {
+  CLIENT_MODES,
+  TushareError,
+  classifyApiError,
+  createTushareClient,
+  trackFailures,
+  summarizeFailures
+};
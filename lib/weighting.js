@@ -0,0 +1,198 @@
+// Factor normalization and portfolio weighting schemes
+//
+// Normalization turns raw factor values into scores in [0, 1] where 1 is best:
+//   minmax       - (value - min) / (max - min); the worst stock scores exactly 0
+//   rank         - percentile rank (rank - 0.5) / n, ties share the average rank
+//   zscore       - winsorized z-score mapped through the normal CDF
+//   sectorZscore - winsorized z-score within each industry, mapped through the normal CDF
+//
+// Weighting turns composite scores into portfolio weights:
+//   score          - proportional to the composite score
+//   equal          - equal weight (combine with topN for top-N equal weight)
+//   scoreMarketCap - proportional to composite score × total market value
+//   inverseVol     - proportional to 1 / volatility
+//   riskParity     - equal risk contribution from the return covariance matrix
+
+const NORMALIZATION_SCHEMES = ['minmax', 'rank', 'zscore', 'sectorZscore'];
+const WEIGHTING_METHODS = ['score', 'equal', 'scoreMarketCap', 'inverseVol', 'riskParity'];
+
+// Raw values beyond these percentiles are clipped before z-scoring
+const WINSOR_LIMIT = 0.05;
+// Minimum overlapping daily returns to estimate a covariance
+const MIN_COVARIANCE_OBSERVATIONS = 20;
+
+// Standard normal CDF (Abramowitz-Stegun approximation)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp(-z * z / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+
+function percentile(sortedValues, q) {
+  if (sortedValues.length === 0) return 0;
+  const pos = (sortedValues.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (pos - lower);
+}
+
+function rankScores(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].v === order[start].v) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].i] = averageRank;
+    start = end + 1;
+  }
+  return ranks.map(r => (r - 0.5) / values.length);
+}
+
+function winsorizedZScores(values) {
+  if (values.length < 2) return values.map(() => 0);
+  const sorted = [...values].sort((a, b) => a - b);
+  const low = percentile(sorted, WINSOR_LIMIT);
+  const high = percentile(sorted, 1 - WINSOR_LIMIT);
+  const clipped = values.map(v => Math.min(high, Math.max(low, v)));
+  const mean = clipped.reduce((sum, v) => sum + v, 0) / clipped.length;
+  const std = Math.sqrt(clipped.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (clipped.length - 1));
+  return clipped.map(v => (std > 0 ? (v - mean) / std : 0));
+}
+
+// Normalize one factor's raw values to scores in [0, 1] (1 = best)
+// groups: industry of each value, used by sectorZscore
+function normalizeFactor(values, scheme = 'minmax', { higherIsBetter = true, groups = null } = {}) {
+  if (values.length === 0) return [];
+
+  if (scheme === 'minmax') {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    return values.map(v => (higherIsBetter ? (v - min) / range : (max - v) / range));
+  }
+
+  const oriented = higherIsBetter ? values : values.map(v => -v);
+
+  if (scheme === 'rank') {
+    return rankScores(oriented);
+  }
+
+  if (scheme === 'sectorZscore' && groups) {
+    const zScores = new Array(values.length).fill(0);
+    const byGroup = new Map();
+    groups.forEach((group, i) => {
+      const key = group || '-';
+      if (!byGroup.has(key)) byGroup.set(key, []);
+      byGroup.get(key).push(i);
+    });
+    byGroup.forEach(indexes => {
+      const groupZ = winsorizedZScores(indexes.map(i => oriented[i]));
+      indexes.forEach((idx, k) => {
+        zScores[idx] = groupZ[k];
+      });
+    });
+    return zScores.map(normalCdf);
+  }
+
+  return winsorizedZScores(oriented).map(normalCdf);
+}
+
+// Extra per-stock data a weighting configuration needs
+function getWeightingRequirements({ normalization = 'minmax', weighting = 'score' } = {}) {
+  return {
+    industry: normalization === 'sectorZscore',
+    priceHistory: weighting === 'inverseVol' || weighting === 'riskParity'
+  };
+}
+
+function normalizeWeights(rawWeights) {
+  const total = Object.values(rawWeights).reduce((sum, w) => sum + w, 0);
+  const weights = {};
+  const codes = Object.keys(rawWeights);
+  codes.forEach(code => {
+    weights[code] = total > 0 ? rawWeights[code] / total : 1 / codes.length;
+  });
+  return weights;
+}
+
+// Sample covariance matrix of daily returns ({ date: return } maps) on common dates
+function covarianceMatrix(returnMaps) {
+  const commonDates = Object.keys(returnMaps[0] || {}).filter(date => returnMaps.every(m => m[date] !== undefined));
+  if (commonDates.length < MIN_COVARIANCE_OBSERVATIONS) return null;
+
+  const series = returnMaps.map(m => commonDates.map(date => m[date]));
+  const means = series.map(s => s.reduce((sum, r) => sum + r, 0) / s.length);
+  return series.map((a, i) => series.map((b, j) =>
+    a.reduce((sum, r, k) => sum + (r - means[i]) * (b[k] - means[j]), 0) / (commonDates.length - 1)
+  ));
+}
+
+// Equal risk contribution weights by fixed-point iteration
+function riskParityWeights(cov) {
+  const n = cov.length;
+  let w = cov.map((row, i) => 1 / Math.sqrt(row[i] || 1e-12));
+  const sumW = w.reduce((sum, x) => sum + x, 0);
+  w = w.map(x => x / sumW);
+
+  for (let iter = 0; iter < 500; iter++) {
+    const marginal = cov.map(row => row.reduce((sum, c, j) => sum + c * w[j], 0));
+    const contributions = w.map((x, i) => x * marginal[i]);
+    const target = contributions.reduce((sum, c) => sum + c, 0) / n;
+    let maxDeviation = 0;
+
+    w = w.map((x, i) => {
+      if (!(contributions[i] > 0)) return x;
+      maxDeviation = Math.max(maxDeviation, Math.abs(contributions[i] / target - 1));
+      return x * Math.sqrt(target / contributions[i]);
+    });
+    const total = w.reduce((sum, x) => sum + x, 0);
+    w = w.map(x => x / total);
+
+    if (maxDeviation < 1e-6) break;
+  }
+  return w;
+}
+
+// Allocate weights to scored stocks
+// stocks: [{ code, score, marketCap, volatility, returns }]
+function allocateWeights(stocks, { weighting = 'score', topN = null } = {}) {
+  let selected = [...stocks];
+  if (topN && topN > 0 && topN < selected.length) {
+    selected = selected.sort((a, b) => b.score - a.score).slice(0, topN);
+  }
+  if (selected.length === 0) return {};
+
+  const raw = {};
+  if (weighting === 'equal') {
+    selected.forEach(s => { raw[s.code] = 1; });
+  } else if (weighting === 'scoreMarketCap') {
+    selected.forEach(s => { raw[s.code] = s.score * (s.marketCap > 0 ? s.marketCap : 0); });
+  } else if (weighting === 'inverseVol') {
+    selected.forEach(s => { raw[s.code] = s.volatility > 0 ? 1 / s.volatility : 0; });
+  } else if (weighting === 'riskParity') {
+    const withReturns = selected.filter(s => s.returns && Object.keys(s.returns).length > 0);
+    const cov = withReturns.length === selected.length ? covarianceMatrix(withReturns.map(s => s.returns)) : null;
+    if (cov) {
+      riskParityWeights(cov).forEach((w, i) => { raw[selected[i].code] = w; });
+    } else {
+      // Not enough overlapping history: fall back to inverse volatility
+      console.warn('Risk parity: insufficient overlapping returns, using inverse volatility');
+      selected.forEach(s => { raw[s.code] = s.volatility > 0 ? 1 / s.volatility : 0; });
+    }
+  } else {
+    selected.forEach(s => { raw[s.code] = s.score; });
+  }
+
+  return normalizeWeights(raw);
+}
+
+module.exports = {
+  NORMALIZATION_SCHEMES,
+  WEIGHTING_METHODS,
+  normalizeFactor,
+  getWeightingRequirements,
+  allocateWeights
+};
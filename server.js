@@ -1,7 +1,45 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const crypto = require('crypto');
 require('dotenv').config();
+const { calculateMetrics } = require('./lib/metrics');
+const { isValidApiName, getCached, setCached, getCacheStats, purgeCache } = require('./lib/cache');
+const {
+  DEFAULT_FACTOR_WEIGHTS,
+  validateFactorWeights,
+  getFactorDependencies,
+  computeFactors,
+  describeFactors,
+  dailyReturns
+} = require('./lib/factors');
+const {
+  NORMALIZATION_SCHEMES,
+  WEIGHTING_METHODS,
+  getWeightingRequirements
+} = require('./lib/weighting');
+const { validateConstraints, hasConstraints } = require('./lib/constraints');
+const { validateCostModel, resolveCostModel, calculateTradeCosts } = require('./lib/costs');
+const { createJob, getJob, describeJob, createProgressReporter, runJob, subscribe, isFinished } = require('./lib/jobs');
+const { createTushareClient, trackFailures, summarizeFailures } = require('./lib/tushare');
+const {
+  collectTradeDates,
+  describeCoverage,
+  getRebalanceDates,
+  getUniverseAt,
+  getScheduleEntryAt,
+  calculateDisclosedWeights,
+  calculatePortfolioNetValue,
+  calculateFactorWeights,
+  constrainWeights,
+  describeStrategy,
+  normalizeSeries,
+  calculateETFNetValue
+} = require('./lib/backtest');
+const { createSymbolResolver } = require('./lib/symbols');
+const { calculateAttribution } = require('./lib/attribution');
+const { EXPORT_FORMATS, EXPORT_TABLES, exportResult } = require('./lib/export');
+const { describeRun, saveRun, getRun, listRuns, deleteRun } = require('./lib/runs');
+const { LOT_SIZE, roundMoney, parsePositions, allocateLots, planTrades } = require('./lib/target');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,47 +50,85 @@ app.use(express.static('public'));
 
 // Tushare API configuration
 const TUSHARE_TOKEN = process.env.TUSHARE_TOKEN;
-const TUSHARE_API = 'http://api.tushare.pro';
+// TUSHARE_API_URL points the client at another server, e.g. the mock in lib/mock-tushare.js
+const TUSHARE_API = process.env.TUSHARE_API_URL || 'http://api.tushare.pro';
+
+// Default annual risk-free rate (%) for Sharpe, Sortino and alpha
+const DEFAULT_RISK_FREE_RATE = 2;
+
+// Target ETF (holdings source and benchmark)
+const DEFAULT_ETF_CODE = '512890.SH';
+// Dividend and low-volatility ETFs offered in the picker; any listed ETF code is accepted
+const PRESET_ETF_CODES = ['512890.SH', '510880.SH', '515080.SH', '159905.SZ'];
+const ETF_CODE_PATTERN = /^\d{6}\.(SH|SZ)$/;
+
+// ETF benchmark series: close (fund_daily close, includes premium/discount), unitNav
+// (fund_nav unit_nav), accumNav (unit NAV plus cumulative dividends) or adjNav (adjusted
+// NAV with dividends reinvested)
+const BENCHMARK_MODES = ['close', 'unitNav', 'accumNav', 'adjNav'];
+const BENCHMARK_NAV_FIELDS = { unitNav: 'unit_nav', accumNav: 'accum_nav', adjNav: 'adj_nav' };
+// Secondary benchmark index, e.g. H30269.CSI (中证红利低波动指数)
+const INDEX_CODE_PATTERN = /^[0-9A-Z]{6}\.(SH|SZ|CSI|SI)$/;
+
+// Interval between heartbeat comments on job progress streams
+const SSE_HEARTBEAT_MS = 15000;
+
+// China Standard Time (UTC+8, no daylight saving), the time zone of the exchanges
+const CHINA_UTC_OFFSET_MS = 8 * 60 * 60 * 1000;
+// Rounds of shrinking the lot allocation until the target and its trading costs fit the capital
+const MAX_COST_ROUNDS = 10;
 
 // Helper function to add delay
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Helper function to call Tushare API with rate limiting
+// Shift a YYYYMMDD date string by a number of days
+function shiftDate(dateStr, days) {
+  const date = new Date(Date.UTC(
+    parseInt(dateStr.substring(0, 4)),
+    parseInt(dateStr.substring(4, 6)) - 1,
+    parseInt(dateStr.substring(6, 8))
+  ));
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Today's date (YYYYMMDD) in China, which is a day ahead of UTC until 08:00
+function todayInChina() {
+  return new Date(Date.now() + CHINA_UTC_OFFSET_MS).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Helper function to call Tushare API with rate limiting and retries (see lib/tushare.js)
+// Responses are served from the on-disk cache when available
+const tushareClient = createTushareClient({
+  token: TUSHARE_TOKEN,
+  url: TUSHARE_API,
+  cache: { getCached, setCached }
+});
+
 async function callTushareAPI(apiName, params) {
-  try {
-    // Add small delay to avoid hitting rate limits
-    await delay(100);
-    
-    const response = await axios.post(TUSHARE_API, {
-      api_name: apiName,
-      token: TUSHARE_TOKEN,
-      params: params,
-      fields: ''
-    });
-    
-    if (response.data.code !== 0) {
-      throw new Error(response.data.msg || 'Tushare API error');
-    }
-    
-    return response.data.data;
-  } catch (error) {
-    console.error('Tushare API error:', error.message);
-    throw error;
-  }
+  return tushareClient.call(apiName, params);
 }
 
 // Batch process array with concurrency limit
-async function batchProcess(items, processor, batchSize = 10) {
+// onProgress(completed, total) is called as each item finishes
+async function batchProcess(items, processor, batchSize = 10, onProgress = null) {
   const results = [];
+  let completed = 0;
+  if (onProgress) onProgress(0, items.length);
   for (let i = 0; i < items.length; i += batchSize) {
     const batch = items.slice(i, i + batchSize);
     console.log(`\nProcessing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(items.length / batchSize)} (${i + batch.length}/${items.length})`);
-    const batchResults = await Promise.all(batch.map((item, batchIndex) => processor(item, i + batchIndex)));
+    const batchResults = await Promise.all(batch.map(async (item, batchIndex) => {
+      const result = await processor(item, i + batchIndex);
+      completed++;
+      if (onProgress) onProgress(completed, items.length);
+      return result;
+    }));
     results.push(...batchResults);
-    // Add delay between batches to avoid rate limit
-    if (i + batchSize < items.length) {
+    // Add delay between batches to avoid rate limit (replayed fixtures have none)
+    if (i + batchSize < items.length && tushareClient.mode !== 'replay') {
       console.log(`Waiting 800ms before next batch...`);
       await delay(800); // Increased from 500ms to 800ms
     }
@@ -70,6 +146,16 @@ async function getDailyData(tsCode, startDate, endDate) {
   return data;
 }
 
+// Get adjustment factors (复权因子) for a stock
+async function getAdjFactor(tsCode, startDate, endDate) {
+  const data = await callTushareAPI('adj_factor', {
+    ts_code: tsCode,
+    start_date: startDate,
+    end_date: endDate
+  });
+  return data;
+}
+
 // Get fund daily data
 async function getFundDailyData(tsCode, startDate, endDate) {
   const data = await callTushareAPI('fund_daily', {
@@ -80,20 +166,166 @@ async function getFundDailyData(tsCode, startDate, endDate) {
   return data;
 }
 
-// Get stock basic information
-async function getStockBasicInfo(tsCode) {
+// Get the open trading days between two dates from the SSE trading calendar
+// Returns null when the calendar is unavailable
+async function getTradeCalendar(startDate, endDate) {
+  try {
+    const data = await callTushareAPI('trade_cal', {
+      exchange: 'SSE',
+      start_date: startDate,
+      end_date: endDate,
+      is_open: '1'
+    });
+    if (!data || !data.items || data.items.length === 0) return null;
+    
+    const dateIdx = data.fields.indexOf('cal_date');
+    const openIdx = data.fields.indexOf('is_open');
+    return data.items
+      .filter(item => openIdx < 0 || String(item[openIdx]) === '1')
+      .map(item => item[dateIdx])
+      .sort((a, b) => a.localeCompare(b));
+  } catch (error) {
+    console.error('Error fetching trade calendar:', error.message);
+    return null;
+  }
+}
+
+// Get fund NAV data, one row per nav_date (the latest announcement wins)
+async function getFundNav(tsCode, startDate, endDate) {
+  try {
+    const data = await callTushareAPI('fund_nav', {
+      ts_code: tsCode,
+      market: 'E',
+      start_date: startDate,
+      end_date: endDate
+    });
+    if (!data || !data.items) return null;
+    
+    const navDateIdx = data.fields.indexOf('nav_date');
+    const annDateIdx = data.fields.indexOf('ann_date');
+    const byDate = new Map();
+    data.items.forEach(item => {
+      const navDate = item[navDateIdx];
+      if (!navDate || navDate < startDate || navDate > endDate) return;
+      const existing = byDate.get(navDate);
+      if (!existing || (item[annDateIdx] || '') > (existing[annDateIdx] || '')) {
+        byDate.set(navDate, item);
+      }
+    });
+    return { fields: data.fields, items: [...byDate.values()] };
+  } catch (error) {
+    console.error(`Error fetching fund NAV for ${tsCode}:`, error.message);
+    return null;
+  }
+}
+
+// Get index daily data
+async function getIndexDailyData(tsCode, startDate, endDate) {
+  try {
+    const data = await callTushareAPI('index_daily', {
+      ts_code: tsCode,
+      start_date: startDate,
+      end_date: endDate
+    });
+    return data;
+  } catch (error) {
+    console.error(`Error fetching index data for ${tsCode}:`, error.message);
+    return null;
+  }
+}
+
+// Get an index's name from index_basic, falling back to its code
+async function getIndexName(tsCode) {
   try {
-    const data = await callTushareAPI('stock_basic', {
+    const data = await callTushareAPI('index_basic', {
       ts_code: tsCode
     });
+    if (data && data.items && data.items.length > 0) {
+      const nameIdx = data.fields.indexOf('name');
+      if (nameIdx >= 0 && data.items[0][nameIdx]) return data.items[0][nameIdx];
+    }
+  } catch (error) {
+    console.error(`Error fetching index basic for ${tsCode}:`, error.message);
+  }
+  return tsCode;
+}
+
+// Get fund basic information (name of an ETF)
+async function getFundBasic(tsCode) {
+  try {
+    const data = await callTushareAPI('fund_basic', {
+      ts_code: tsCode,
+      market: 'E'
+    });
     return data;
   } catch (error) {
-    console.error(`Error fetching basic info for ${tsCode}:`, error.message);
+    console.error(`Error fetching fund basic for ${tsCode}:`, error.message);
     return null;
   }
 }
 
-// Get stock company information (for industry)
+// Get an ETF's name, falling back to its code
+async function getFundName(tsCode) {
+  const basicInfo = await getFundBasic(tsCode);
+  if (basicInfo && basicInfo.items && basicInfo.items.length > 0) {
+    const nameIdx = basicInfo.fields.indexOf('name');
+    const item = basicInfo.items.find(i => i[basicInfo.fields.indexOf('ts_code')] === tsCode) || basicInfo.items[0];
+    if (nameIdx >= 0 && item[nameIdx]) return item[nameIdx];
+  }
+  return tsCode;
+}
+
+// Load every A-share in stock_basic (listed, delisted and paused) for code resolution,
+// names, industries and listing dates; stock_basic only returns listed stocks by default,
+// so each status is fetched separately. Resolves to null when the listed stocks cannot be fetched
+async function loadStockList() {
+  const stocks = [];
+  for (const listStatus of ['L', 'D', 'P']) {
+    try {
+      const data = await callTushareAPI('stock_basic', {
+        list_status: listStatus,
+        fields: 'ts_code,symbol,name,industry,list_status,list_date,delist_date'
+      });
+      if (data && data.items) {
+        const tsCodeIdx = data.fields.indexOf('ts_code');
+        const nameIdx = data.fields.indexOf('name');
+        const industryIdx = data.fields.indexOf('industry');
+        const listDateIdx = data.fields.indexOf('list_date');
+        const delistDateIdx = data.fields.indexOf('delist_date');
+        data.items.forEach(item => stocks.push({
+          tsCode: item[tsCodeIdx],
+          name: item[nameIdx] || null,
+          industry: item[industryIdx] || null,
+          listStatus: listStatus,
+          listDate: item[listDateIdx] || null,
+          delistDate: item[delistDateIdx] || null
+        }));
+      }
+    } catch (error) {
+      console.error(`Error fetching stock list (${listStatus}):`, error.message);
+      // Without the listed stocks the list would reject valid codes; use the board rules
+      if (listStatus === 'L') return null;
+    }
+  }
+  console.log(`Loaded ${stocks.length} stocks for code resolution`);
+  return stocks;
+}
+
+const stockResolver = createSymbolResolver(loadStockList);
+
+// Get a stock's listing and delisting dates from the stock list
+// Resolves to { listDate, delistDate, listStatus }, or null when the stock is unknown
+async function getListingDates(tsCode) {
+  return stockResolver.getListing(tsCode);
+}
+
+// Get a stock's name from the stock list, falling back to its code
+async function getStockName(tsCode) {
+  const info = await stockResolver.getStockInfo(tsCode);
+  return (info && info.name) || tsCode;
+}
+
+// Get stock company information (industry of stocks missing from the stock list)
 async function getStockCompanyInfo(tsCode) {
   try {
     const data = await callTushareAPI('stock_company', {
@@ -107,14 +339,15 @@ async function getStockCompanyInfo(tsCode) {
 }
 
 // Get daily basic data (for market cap and dividend yield)
-async function getDailyBasic(tsCode, endDate) {
+// Only values traded on or before asOfDate are used
+async function getDailyBasic(tsCode, asOfDate) {
   try {
-    // Get data for a date range to ensure we get data even if endDate is not a trading day
-    const startDate = endDate.substring(0, 6) + '01'; // First day of the month
+    // Look back a month to ensure we get data even if asOfDate is not a trading day
+    const startDate = shiftDate(asOfDate, -31);
     const data = await callTushareAPI('daily_basic', {
       ts_code: tsCode,
       start_date: startDate,
-      end_date: endDate
+      end_date: asOfDate
     });
     
     // Return the latest available data
@@ -122,10 +355,12 @@ async function getDailyBasic(tsCode, endDate) {
       // Sort by trade_date descending and return the latest
       const fields = data.fields;
       const dateIdx = fields.indexOf('trade_date');
-      const sortedItems = data.items.sort((a, b) => b[dateIdx].localeCompare(a[dateIdx]));
+      const sortedItems = data.items
+        .filter(item => item[dateIdx] <= asOfDate)
+        .sort((a, b) => b[dateIdx].localeCompare(a[dateIdx]));
       return {
         fields: data.fields,
-        items: [sortedItems[0]] // Return only the latest item
+        items: sortedItems.slice(0, 1) // Return only the latest item
       };
     }
     
@@ -192,44 +427,125 @@ async function getFundPortfolio(tsCode, endDate) {
   }
 }
 
-// Get financial indicator data (for ROCE calculation)
-async function getFinancialIndicator(tsCode, endDate) {
+// Get fund portfolio holdings for every reporting period (constituent history)
+// Returns [{ period, annDate, fields, items }] ascending by disclosure date.
+async function getFundPortfolioHistory(tsCode) {
   try {
-    // Get the latest financial report
-    const data = await callTushareAPI('fina_indicator', {
-      ts_code: tsCode,
-      end_date: endDate,
-      fields: 'ts_code,end_date,ebit,total_assets,total_cur_liab,roe,roa'
+    const data = await callTushareAPI('fund_portfolio', {
+      ts_code: tsCode
     });
-    return data;
+    
+    if (!data || !data.items || data.items.length === 0) {
+      return [];
+    }
+    
+    const fields = data.fields;
+    const endDateIdx = fields.indexOf('end_date');
+    const annDateIdx = fields.indexOf('ann_date');
+    
+    if (endDateIdx < 0) {
+      return [];
+    }
+    
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const endDates = [...new Set(data.items.map(item => item[endDateIdx]))]
+      .filter(date => date <= today);
+    
+    // Prefer Q2 (0630) and Q4 (1231) as they have full holdings
+    // Q1 (0331) and Q3 (0930) often only show top 10 holdings
+    const fullReportDates = endDates.filter(date =>
+      date.endsWith('0630') || date.endsWith('1231')
+    );
+    const periods = fullReportDates.length > 0 ? fullReportDates : endDates;
+    
+    const history = periods.map(period => {
+      const items = data.items.filter(item => item[endDateIdx] === period);
+      // Holdings take effect once the whole report is disclosed
+      const annDates = annDateIdx >= 0 ? items.map(item => item[annDateIdx]).filter(d => d) : [];
+      const annDate = annDates.length > 0 ? annDates.sort((a, b) => b.localeCompare(a))[0] : period;
+      return {
+        period: period,
+        annDate: annDate,
+        fields: fields,
+        items: items
+      };
+    }).sort((a, b) => a.annDate.localeCompare(b.annDate));
+    
+    console.log(`Found ${history.length} constituent periods:`, history.map(h => `${h.period}@${h.annDate}`));
+    
+    return history;
   } catch (error) {
-    console.error(`Error fetching financial indicator for ${tsCode}:`, error.message);
-    return null;
+    console.error(`Error fetching fund portfolio history for ${tsCode}:`, error.message);
+    return [];
   }
 }
 
-// Get balance sheet data (for total assets and current liabilities)
-async function getBalanceSheet(tsCode) {
+// Get fund holdings disclosure dates (ann_date of every reporting period)
+async function getFundReportDates(tsCode) {
   try {
-    // Get the latest available balance sheet data (don't specify end_date)
-    const data = await callTushareAPI('balancesheet', {
-      ts_code: tsCode,
-      fields: 'ts_code,end_date,total_assets,total_cur_liab,total_hldr_eqy_exc_min_int'
+    const data = await callTushareAPI('fund_portfolio', {
+      ts_code: tsCode
     });
     
-    // Return only the latest record
-    if (data && data.items && data.items.length > 0) {
-      const fields = data.fields;
-      const endDateIdx = fields.indexOf('end_date');
-      // Sort by end_date descending
-      const sortedItems = data.items.sort((a, b) => b[endDateIdx].localeCompare(a[endDateIdx]));
-      return {
-        fields: data.fields,
-        items: [sortedItems[0]] // Return only the latest
-      };
+    if (!data || !data.items || data.items.length === 0) {
+      return [];
     }
     
+    const annDateIdx = data.fields.indexOf('ann_date');
+    if (annDateIdx < 0) {
+      return [];
+    }
+    
+    return [...new Set(data.items.map(item => item[annDateIdx]).filter(d => d))]
+      .sort((a, b) => a.localeCompare(b));
+  } catch (error) {
+    console.error(`Error fetching fund report dates for ${tsCode}:`, error.message);
+    return [];
+  }
+}
+
+// Pick the latest financial report announced before asOfDate (point-in-time)
+// Reports are ordered by end_date, then by ann_date so restatements known at the time win.
+// Without asOfDate the latest report is returned.
+function pickPointInTimeReport(data, asOfDate) {
+  if (!data || !data.items || data.items.length === 0) {
     return data;
+  }
+  
+  const fields = data.fields;
+  const endDateIdx = fields.indexOf('end_date');
+  const annDateIdx = fields.indexOf('ann_date');
+  const fAnnDateIdx = fields.indexOf('f_ann_date');
+  const announcedOn = (item) => (annDateIdx >= 0 && item[annDateIdx]) || (fAnnDateIdx >= 0 && item[fAnnDateIdx]) || null;
+  
+  const availableItems = asOfDate
+    ? data.items.filter(item => {
+        const annDate = announcedOn(item);
+        return annDate && annDate < asOfDate;
+      })
+    : data.items;
+  
+  const sortedItems = availableItems.sort((a, b) =>
+    b[endDateIdx].localeCompare(a[endDateIdx]) ||
+    (announcedOn(b) || '').localeCompare(announcedOn(a) || '')
+  );
+  
+  return {
+    fields: fields,
+    items: sortedItems.slice(0, 1) // Return only the latest
+  };
+}
+
+// Get balance sheet data (for total assets and current liabilities)
+async function getBalanceSheet(tsCode, asOfDate) {
+  try {
+    // Get all balance sheet reports and pick the one available at asOfDate
+    const data = await callTushareAPI('balancesheet', {
+      ts_code: tsCode,
+      fields: 'ts_code,ann_date,f_ann_date,end_date,total_assets,total_cur_liab,total_hldr_eqy_exc_min_int'
+    });
+    
+    return pickPointInTimeReport(data, asOfDate);
   } catch (error) {
     console.error(`Error fetching balance sheet for ${tsCode}:`, error.message);
     return null;
@@ -237,33 +553,53 @@ async function getBalanceSheet(tsCode) {
 }
 
 // Get income statement data (for EBIT)
-async function getIncomeStatement(tsCode) {
+async function getIncomeStatement(tsCode, asOfDate) {
   try {
-    // Get the latest available income statement data (don't specify end_date)
+    // Get all income statements and pick the one available at asOfDate
     const data = await callTushareAPI('income', {
       ts_code: tsCode,
-      fields: 'ts_code,end_date,ebit,operate_profit,total_profit'
+      fields: 'ts_code,ann_date,f_ann_date,end_date,ebit,operate_profit,total_profit'
     });
     
-    // Return only the latest record
-    if (data && data.items && data.items.length > 0) {
-      const fields = data.fields;
-      const endDateIdx = fields.indexOf('end_date');
-      // Sort by end_date descending
-      const sortedItems = data.items.sort((a, b) => b[endDateIdx].localeCompare(a[endDateIdx]));
-      return {
-        fields: data.fields,
-        items: [sortedItems[0]] // Return only the latest
-      };
-    }
-    
-    return data;
+    return pickPointInTimeReport(data, asOfDate);
   } catch (error) {
     console.error(`Error fetching income statement for ${tsCode}:`, error.message);
     return null;
   }
 }
 
+// Get financial indicator data (for ROE)
+async function getFinancialIndicator(tsCode, asOfDate) {
+  try {
+    // Get all indicator reports and pick the one available at asOfDate
+    const data = await callTushareAPI('fina_indicator', {
+      ts_code: tsCode,
+      fields: 'ts_code,ann_date,end_date,roe,roa'
+    });
+    
+    return pickPointInTimeReport(data, asOfDate);
+  } catch (error) {
+    console.error(`Error fetching financial indicator for ${tsCode}:`, error.message);
+    return null;
+  }
+}
+
+// Get cash flow statement data (for free cash flow)
+async function getCashflow(tsCode, asOfDate) {
+  try {
+    // Get all cash flow statements and pick the one available at asOfDate
+    const data = await callTushareAPI('cashflow', {
+      ts_code: tsCode,
+      fields: 'ts_code,ann_date,f_ann_date,end_date,free_cashflow,n_cashflow_act,c_pay_acq_const_fiolta'
+    });
+    
+    return pickPointInTimeReport(data, asOfDate);
+  } catch (error) {
+    console.error(`Error fetching cash flow for ${tsCode}:`, error.message);
+    return null;
+  }
+}
+
 // Get dividend data
 async function getDividend(tsCode) {
   try {
@@ -277,191 +613,589 @@ async function getDividend(tsCode) {
   }
 }
 
-// Calculate portfolio net value with weights
-function calculatePortfolioNetValue(stocksData, weights) {
-  const dateMap = new Map();
+// Supported rebalance frequencies
+const REBALANCE_FREQUENCIES = ['none', 'monthly', 'quarterly', 'semiannual', 'report'];
+
+// Constituent modes for ETF holdings
+const CONSTITUENT_MODES = ['latest', 'history'];
+
+// Weighting of custom portfolios: equal weights, explicit { code, weight } pairs, or the
+// factor weighting of the ETF route
+const CUSTOM_WEIGHT_MODES = ['equal', 'explicit', 'factor'];
+
+// Trading calendar and listing dates for a backtest
+// Falls back to the dates with bars when trade_cal is unavailable
+async function getTradingContext(stockCodes, stocksData, startDate, endDate, onProgress = null) {
+  const calendar = await getTradeCalendar(startDate, endDate);
+  const listingResults = await batchProcess(stockCodes, code => getListingDates(code), 10, onProgress);
+  const listings = {};
+  stockCodes.forEach((code, i) => {
+    if (listingResults[i]) listings[code] = listingResults[i];
+  });
   
-  // Process each stock's data
-  stocksData.forEach((stock, index) => {
-    if (!stock.data || stock.data.items.length === 0) return;
-    
-    const items = stock.data.items;
-    const fields = stock.data.fields;
-    const dateIdx = fields.indexOf('trade_date');
-    const closeIdx = fields.indexOf('close');
-    const weight = weights[stock.code] || 0;
-    
-    if (weight === 0) return;
-    
-    // Find initial price
-    const sortedItems = items.sort((a, b) => a[dateIdx] - b[dateIdx]);
-    const initialPrice = sortedItems[0][closeIdx];
-    
-    // Calculate daily returns for this stock
-    sortedItems.forEach(item => {
-      const date = item[dateIdx];
-      const close = item[closeIdx];
-      const dailyValue = (close / initialPrice) * weight;
-      
-      if (!dateMap.has(date)) {
-        dateMap.set(date, { count: 0, sum: 0 });
-      }
-      
-      const dayData = dateMap.get(date);
-      dayData.count += 1;
-      dayData.sum += dailyValue;
+  return {
+    tradeDates: calendar || collectTradeDates(stocksData),
+    calendarSource: calendar ? 'trade_cal' : 'bars',
+    listings: listings
+  };
+}
+
+// Supported price adjustment modes
+// price: raw closes (price return); forward: 前复权 via adj_factor, anchored at the last date;
+// total: total return with dividends reinvested, anchored at the first date
+const PRICE_ADJUSTMENTS = ['price', 'forward', 'total'];
+
+// Cross-check adj_factor jumps against the dividend records
+// On each ex-date the expected factor ratio is prevClose / ((prevClose - cashDiv) / (1 + stkDiv)).
+function crossCheckDividends(sortedItems, fields, factors, dividendData) {
+  if (!dividendData || !dividendData.items || dividendData.items.length === 0 || sortedItems.length < 2) {
+    return [];
+  }
+  
+  const dateIdx = fields.indexOf('trade_date');
+  const closeIdx = fields.indexOf('close');
+  const divFields = dividendData.fields;
+  const exDateIdx = divFields.indexOf('ex_date');
+  const cashDivIdx = divFields.indexOf('cash_div_tax');
+  const stkDivIdx = divFields.indexOf('stk_div');
+  
+  if (exDateIdx < 0) {
+    return [];
+  }
+  
+  // Several rows per dividend (预案/股东大会通过/实施); only implemented ones carry an ex_date
+  const dividends = new Map();
+  dividendData.items.forEach(item => {
+    const exDate = item[exDateIdx];
+    if (!exDate || dividends.has(exDate)) return;
+    dividends.set(exDate, {
+      cashDiv: cashDivIdx >= 0 ? (item[cashDivIdx] || 0) : 0,
+      stkDiv: stkDivIdx >= 0 ? (item[stkDivIdx] || 0) : 0
     });
   });
   
-  // Convert to array and calculate net value
-  const netValueData = Array.from(dateMap.entries())
-    .map(([date, data]) => ({
-      date: date,
-      netValue: data.sum
-    }))
-    .sort((a, b) => a.date.localeCompare(b.date));
-  
-  // Normalize to start at 1.0
-  if (netValueData.length > 0) {
-    const initialValue = netValueData[0].netValue;
-    if (initialValue > 0) {
-      netValueData.forEach(item => {
-        item.netValue = item.netValue / initialValue;
-      });
-    }
-  }
+  const checks = [];
+  dividends.forEach((dividend, exDate) => {
+    const i = sortedItems.findIndex(item => item[dateIdx] >= exDate);
+    if (i <= 0) return; // Ex-date outside the price range
+    if (dividend.cashDiv === 0 && dividend.stkDiv === 0) return;
+    
+    const prevClose = sortedItems[i - 1][closeIdx];
+    const exPrice = (prevClose - dividend.cashDiv) / (1 + dividend.stkDiv);
+    if (!(exPrice > 0)) return;
+    
+    const expectedRatio = prevClose / exPrice;
+    const adjFactorRatio = factors[i] / factors[i - 1];
+    checks.push({
+      exDate: exDate,
+      tradeDate: sortedItems[i][dateIdx],
+      index: i,
+      cashDiv: dividend.cashDiv,
+      stkDiv: dividend.stkDiv,
+      expectedRatio: expectedRatio,
+      adjFactorRatio: adjFactorRatio,
+      matched: Math.abs(adjFactorRatio / expectedRatio - 1) < 0.005
+    });
+  });
   
-  return netValueData;
+  return checks.sort((a, b) => a.exDate.localeCompare(b.exDate));
 }
 
-// Calculate dual-factor weights (Dividend Yield + ROCE)
-function calculateDualFactorWeights(stocksFactors) {
-  console.log(`\nCalculating weights for ${stocksFactors.length} stocks...`);
-  
-  // Count stocks by data availability
-  const withBothFactors = stocksFactors.filter(s => s.dividendYield > 0 && s.roce !== null && !isNaN(s.roce));
-  const withDivOnly = stocksFactors.filter(s => s.dividendYield > 0 && (s.roce === null || isNaN(s.roce)));
-  const withRoceOnly = stocksFactors.filter(s => (s.dividendYield === 0 || !s.dividendYield) && s.roce !== null && !isNaN(s.roce));
-  const withNeither = stocksFactors.filter(s => (s.dividendYield === 0 || !s.dividendYield) && (s.roce === null || isNaN(s.roce)));
+// Adjust daily price data for dividends and capital changes
+// Returns the adjusted data (open/high/low/close rescaled) and the dividend cross-check.
+// In total mode, ex-dates the adj_factor misses are filled from the dividend records.
+function adjustPriceData(priceData, adjFactorData, dividendData, mode) {
+  if (mode === 'price' || !priceData || !priceData.items || priceData.items.length === 0) {
+    return { data: priceData, dividendCheck: [] };
+  }
   
-  console.log(`  With both factors: ${withBothFactors.length}`);
-  console.log(`  With dividend only: ${withDivOnly.length}`);
-  console.log(`  With ROCE only: ${withRoceOnly.length}`);
-  console.log(`  With neither: ${withNeither.length}`);
+  const fields = priceData.fields;
+  const dateIdx = fields.indexOf('trade_date');
+  const sortedItems = [...priceData.items].sort((a, b) => a[dateIdx].localeCompare(b[dateIdx]));
   
-  // Only process stocks with valid ROCE data
-  const validStocks = stocksFactors.filter(s => s.roce !== null && !isNaN(s.roce));
+  // Look up adj_factor by date, carrying the last known factor over gaps
+  const factorMap = new Map();
+  if (adjFactorData && adjFactorData.items) {
+    const adjDateIdx = adjFactorData.fields.indexOf('trade_date');
+    const adjIdx = adjFactorData.fields.indexOf('adj_factor');
+    adjFactorData.items.forEach(item => factorMap.set(item[adjDateIdx], item[adjIdx]));
+  }
+  const firstKnown = sortedItems.map(item => factorMap.get(item[dateIdx])).find(f => f > 0) || 1;
+  let lastFactor = firstKnown;
+  const factors = sortedItems.map(item => {
+    const factor = factorMap.get(item[dateIdx]);
+    if (factor > 0) lastFactor = factor;
+    return lastFactor;
+  });
   
-  console.log(`  Using ${validStocks.length} stocks with valid ROCE for weight calculation`);
+  const dividendCheck = crossCheckDividends(sortedItems, fields, factors, dividendData);
   
-  if (validStocks.length === 0) {
-    console.warn('No valid stocks with ROCE data');
-    // Return equal weights for all stocks
-    const equalWeight = 1 / stocksFactors.length;
-    const weights = {};
-    stocksFactors.forEach(s => {
-      weights[s.code] = equalWeight;
+  // Reinvest dividends the adj_factor does not reflect at all; otherwise adj_factor wins
+  if (mode === 'total') {
+    dividendCheck.filter(c => !c.matched && Math.abs(c.adjFactorRatio - 1) < 1e-9).forEach(c => {
+      const correction = c.expectedRatio / c.adjFactorRatio;
+      for (let i = c.index; i < factors.length; i++) {
+        factors[i] *= correction;
+      }
+      c.filledFromDividend = true;
     });
-    return {
-      weights: weights,
-      processedFactors: stocksFactors
-    };
   }
   
-  const processedStocks = validStocks.map(s => {
-    let dividendYield = s.dividendYield || 0;
-    
-    // If dividend yield is 0, use a small value to avoid complete exclusion
-    if (dividendYield === 0) {
-      dividendYield = 0.01; // Small positive value
-    }
-    
-    return {
-      code: s.code,
-      dividendYield: dividendYield,
-      roce: s.roce
-    };
+  const anchor = mode === 'forward' ? factors[factors.length - 1] : factors[0];
+  const priceIdxs = ['open', 'high', 'low', 'close'].map(f => fields.indexOf(f)).filter(idx => idx >= 0);
+  const adjustedItems = sortedItems.map((item, i) => {
+    const adjusted = item.slice();
+    priceIdxs.forEach(idx => {
+      if (adjusted[idx] !== null && adjusted[idx] !== undefined) {
+        adjusted[idx] = adjusted[idx] * factors[i] / anchor;
+      }
+    });
+    return adjusted;
   });
   
-  // Normalize factors to 0-1 range
-  const divYields = processedStocks.map(s => s.dividendYield);
-  const roces = processedStocks.map(s => s.roce);
+  return {
+    data: { fields: fields, items: adjustedItems },
+    dividendCheck: dividendCheck.map(({ index, ...check }) => check)
+  };
+}
+
+// Get daily stock data adjusted according to the price adjustment mode
+async function getAdjustedDailyData(tsCode, startDate, endDate, mode) {
+  const data = await getDailyData(tsCode, startDate, endDate);
+  if (mode === 'price') {
+    return { data: data, dividendCheck: [] };
+  }
   
-  const minDiv = Math.min(...divYields);
-  const maxDiv = Math.max(...divYields);
-  const minRoce = Math.min(...roces);
-  const maxRoce = Math.max(...roces);
+  const [adjFactorData, dividendData] = await Promise.all([
+    getAdjFactor(tsCode, startDate, endDate),
+    getDividend(tsCode)
+  ]);
   
-  const rangeDiv = maxDiv - minDiv || 1;
-  const rangeRoce = maxRoce - minRoce || 1;
+  return adjustPriceData(data, adjFactorData, dividendData, mode);
+}
+
+// Summarize dividend cross-checks across all stocks
+function summarizeDividendCheck(stocksData) {
+  const mismatches = [];
+  let checked = 0;
   
-  // Calculate composite score (equal weight for both factors)
-  const scores = processedStocks.map(s => {
-    const normDiv = (s.dividendYield - minDiv) / rangeDiv;
-    const normRoce = (s.roce - minRoce) / rangeRoce;
-    return {
-      code: s.code,
-      score: (normDiv + normRoce) / 2  // Average of both factors
-    };
+  stocksData.forEach(stock => {
+    (stock.dividendCheck || []).forEach(check => {
+      checked += 1;
+      if (!check.matched) {
+        mismatches.push({ code: stock.code, ...check });
+      }
+    });
   });
   
-  // Calculate weights proportional to scores
-  const totalScore = scores.reduce((sum, s) => sum + s.score, 0);
-  const weights = {};
+  return {
+    checked: checked,
+    matched: checked - mismatches.length,
+    mismatches: mismatches
+  };
+}
+
+// Build the ETF benchmark in the requested mode plus the optional secondary index
+// NAV modes fall back to the close when fund_nav has no data for the range
+async function getBenchmarks(etfCode, startDate, endDate, mode, indexCode) {
+  let etf = [];
+  let source = 'close';
   
-  scores.forEach(s => {
-    weights[s.code] = totalScore > 0 ? s.score / totalScore : 1 / scores.length;
-  });
+  if (mode !== 'close') {
+    const navData = await getFundNav(etfCode, startDate, endDate);
+    etf = normalizeSeries(navData, 'nav_date', BENCHMARK_NAV_FIELDS[mode]);
+    if (etf.length > 0) {
+      source = mode;
+    } else {
+      console.warn(`No ${BENCHMARK_NAV_FIELDS[mode]} for ${etfCode}, falling back to close`);
+    }
+  }
+  if (source === 'close') {
+    etf = calculateETFNetValue(await getFundDailyData(etfCode, startDate, endDate));
+  }
   
-  console.log(`Calculated weights for ${Object.keys(weights).length} stocks`);
+  let index = null;
+  if (indexCode) {
+    const [indexData, indexName] = await Promise.all([
+      getIndexDailyData(indexCode, startDate, endDate),
+      getIndexName(indexCode)
+    ]);
+    index = {
+      code: indexCode,
+      name: indexName,
+      netValue: normalizeSeries(indexData, 'trade_date', 'close')
+    };
+  }
   
-  // Return both weights and processed factors (with filled values)
+  return { etf: etf, source: source, index: index };
+}
+
+// Describe which report fed a factor (period and announcement date)
+function describeReport(reportData) {
+  if (!reportData || !reportData.items || reportData.items.length === 0) {
+    return null;
+  }
+  const fields = reportData.fields;
+  const item = reportData.items[0];
+  const annDateIdx = fields.indexOf('ann_date');
+  const fAnnDateIdx = fields.indexOf('f_ann_date');
   return {
-    weights: weights,
-    processedFactors: processedStocks
+    period: item[fields.indexOf('end_date')],
+    annDate: (annDateIdx >= 0 && item[annDateIdx]) || (fAnnDateIdx >= 0 && item[fAnnDateIdx]) || null
   };
 }
 
-// Calculate ETF net value
-function calculateETFNetValue(etfData) {
-  if (!etfData || !etfData.items || etfData.items.length === 0) {
-    return [];
+// Daily returns by date from daily bars ({ date: return }), adjusted for dividends (see
+// dailyReturns in lib/factors.js)
+function dailyReturnMap(priceData) {
+  return Object.fromEntries(dailyReturns(priceData).map(r => [r.date, r.value]));
+}
+
+// Get a stock's industry from the stock list (falls back to stock_company for stocks
+// missing from it)
+async function getStockIndustry(code) {
+  const info = await stockResolver.getStockInfo(code);
+  if (info && info.industry) return info.industry;
+  const companyInfo = await getStockCompanyInfo(code);
+  if (companyInfo && companyInfo.items && companyInfo.items.length > 0) {
+    const industryIdx = companyInfo.fields.indexOf('industry');
+    if (industryIdx >= 0 && companyInfo.items[0][industryIdx]) return companyInfo.items[0][industryIdx];
   }
-  
-  const items = etfData.items;
-  const fields = etfData.fields;
-  const dateIdx = fields.indexOf('trade_date');
-  const navIdx = fields.indexOf('nav');
-  const closeIdx = fields.indexOf('close');
-  
-  const sortedItems = items.sort((a, b) => a[dateIdx] - b[dateIdx]);
-  const initialValue = sortedItems[0][navIdx] || sortedItems[0][closeIdx] || 1;
-  
-  return sortedItems.map(item => ({
-    date: item[dateIdx],
-    netValue: (item[navIdx] || item[closeIdx]) / initialValue
-  }));
+  return null;
 }
 
-// API endpoint for ETF holdings replication with dual-factor weighting
-app.post('/api/backtest-etf', async (req, res) => {
-  try {
-    const { startDate, endDate } = req.body;
-    
-    console.log(`Fetching 512890 ETF holdings and calculating dual-factor weights from ${startDate} to ${endDate}`);
+// Point-in-time data loaders for the factor library's dependencies
+const FACTOR_DATA_LOADERS = {
+  dailyBasic: (code, asOfDate) => getDailyBasic(code, asOfDate),
+  income: (code, asOfDate) => getIncomeStatement(code, asOfDate),
+  balanceSheet: (code, asOfDate) => getBalanceSheet(code, asOfDate),
+  finaIndicator: (code, asOfDate) => getFinancialIndicator(code, asOfDate),
+  cashflow: (code, asOfDate) => getCashflow(code, asOfDate),
+  dividend: (code) => getDividend(code),
+  priceHistory: async (code, asOfDate) => {
+    try {
+      return await getDailyData(code, shiftDate(asOfDate, -400), asOfDate);
+    } catch (error) {
+      console.error(`Error fetching price history for ${code}:`, error.message);
+      return null;
+    }
+  }
+};
+
+// Fetch point-in-time factor data for a stock
+// Only reports announced before asOfDate and market data on or before it are used.
+// daily_basic is always loaded for market cap and the displayed dividend yield.
+// options.priceHistory adds volatility and daily returns; options.industry adds the industry
+async function getStockFactors(code, asOfDate, factorKeys = Object.keys(DEFAULT_FACTOR_WEIGHTS), options = {}) {
+  try {
+    const dependencies = [...new Set([
+      'dailyBasic',
+      ...getFactorDependencies(factorKeys),
+      ...(options.priceHistory ? ['priceHistory'] : [])
+    ])];
+    const loaded = await Promise.all(dependencies.map(dep => FACTOR_DATA_LOADERS[dep](code, asOfDate)));
+    const bundle = {};
+    dependencies.forEach((dep, i) => {
+      bundle[dep] = loaded[i];
+    });
+    
+    const factors = computeFactors(factorKeys, bundle, { code: code, asOfDate: asOfDate });
+    const dividendYield = factors.dividendYield !== undefined
+      ? factors.dividendYield
+      : computeFactors(['dividendYield'], bundle, { code: code, asOfDate: asOfDate }).dividendYield;
+    
+    const dailyBasic = bundle.dailyBasic;
+    let marketCap = null;
+    let dailyBasicDate = null;
+    if (dailyBasic && dailyBasic.items && dailyBasic.items.length > 0) {
+      const totalMvIdx = dailyBasic.fields.indexOf('total_mv');
+      const tradeDateIdx = dailyBasic.fields.indexOf('trade_date');
+      if (totalMvIdx >= 0 && dailyBasic.items[0][totalMvIdx]) marketCap = dailyBasic.items[0][totalMvIdx];
+      if (tradeDateIdx >= 0) dailyBasicDate = dailyBasic.items[0][tradeDateIdx];
+    } else {
+      console.log(`${code} no daily basic data`);
+    }
+    
+    // Record which data fed the factor values
+    const factorSource = {
+      asOfDate: asOfDate,
+      dailyBasicDate: dailyBasicDate,
+      income: describeReport(bundle.income),
+      balanceSheet: describeReport(bundle.balanceSheet)
+    };
+    if (bundle.finaIndicator !== undefined) factorSource.finaIndicator = describeReport(bundle.finaIndicator);
+    if (bundle.cashflow !== undefined) factorSource.cashflow = describeReport(bundle.cashflow);
+    
+    console.log(`${code} factors:`, factors);
+    
+    const result = {
+      code: code,
+      dividendYield: dividendYield || 0,
+      roce: factors.roce !== undefined ? factors.roce : null,
+      marketCap: marketCap,
+      factors: factors,
+      factorSource: factorSource
+    };
+    
+    if (options.priceHistory) {
+      result.volatility = computeFactors(['lowVol'], bundle, { code: code, asOfDate: asOfDate }).lowVol;
+      result.returns = dailyReturnMap(bundle.priceHistory);
+    }
+    if (options.industry) {
+      result.industry = await getStockIndustry(code);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error(`Error fetching factors for ${code}:`, error.message);
+    return {
+      code: code,
+      dividendYield: 0,
+      roce: null,
+      marketCap: null,
+      factors: Object.fromEntries(factorKeys.map(key => [key, null])),
+      factorSource: null
+    };
+  }
+}
+
+// Validate the factor weighting parameters shared by both backtest routes
+// Returns { error } with a 400 body, or { settings } for factorWeightsAt
+function resolveFactorSettings({ factors = DEFAULT_FACTOR_WEIGHTS, normalization = 'minmax', weighting = 'score', topN = null, constraints = null }) {
+  const factorError = validateFactorWeights(factors);
+  if (factorError) {
+    return { error: { error: 'Invalid factors', message: factorError } };
+  }
+  
+  if (!NORMALIZATION_SCHEMES.includes(normalization)) {
+    return { error: {
+      error: 'Invalid normalization scheme',
+      message: `normalization must be one of: ${NORMALIZATION_SCHEMES.join(', ')}`
+    } };
+  }
+  
+  if (!WEIGHTING_METHODS.includes(weighting)) {
+    return { error: {
+      error: 'Invalid weighting method',
+      message: `weighting must be one of: ${WEIGHTING_METHODS.join(', ')}`
+    } };
+  }
+  
+  if (topN !== null && !(Number.isInteger(topN) && topN > 0)) {
+    return { error: { error: 'Invalid topN', message: 'topN must be a positive integer' } };
+  }
+  
+  const constraintError = validateConstraints(constraints);
+  if (constraintError) {
+    return { error: { error: 'Invalid constraints', message: constraintError } };
+  }
+  
+  const weightingOptions = { normalization: normalization, weighting: weighting, topN: topN };
+  const factorDataOptions = getWeightingRequirements(weightingOptions);
+  // Industry caps need each stock's industry
+  if (constraints && constraints.maxIndustryWeight) factorDataOptions.industry = true;
+  
+  return { settings: {
+    factors: factors,
+    factorKeys: Object.keys(factors),
+    normalization: normalization,
+    weighting: weighting,
+    topN: topN,
+    constraints: constraints,
+    weightingOptions: weightingOptions,
+    factorDataOptions: factorDataOptions
+  } };
+}
+
+// Constrained factor weights of a set of stocks, using data known on asOfDate
+async function factorWeightsAt(codes, asOfDate, settings, onProgress = null) {
+  const stocksFactors = await batchProcess(codes, (code, index) => {
+    console.log(`[${index + 1}/${codes.length}] Fetching factors for ${code} as of ${asOfDate}`);
+    return getStockFactors(code, asOfDate, settings.factorKeys, settings.factorDataOptions);
+  }, 5, onProgress); // 5 stocks at a time to stay under the rate limits
+  const { weights, factorScores } = calculateFactorWeights(stocksFactors, settings.factors, settings.weightingOptions);
+  const constrained = constrainWeights(weights, stocksFactors, settings.constraints);
+  return {
+    stocksFactors: stocksFactors,
+    factorScores: factorScores,
+    weights: constrained.weights,
+    binding: constrained.binding,
+    infeasible: constrained.infeasible
+  };
+}
+
+// Factor settings reported in a backtest's statistics
+function describeFactorSettings(settings, initialWeights) {
+  return {
+    strategy: describeStrategy(settings.factors),
+    factors: settings.factors,
+    normalization: settings.normalization,
+    weighting: settings.weighting,
+    topN: settings.topN,
+    constraints: hasConstraints(settings.constraints) ? {
+      settings: settings.constraints,
+      binding: initialWeights.binding,
+      infeasible: initialWeights.infeasible
+    } : null
+  };
+}
+
+// Progress stages of each backtest type (weights approximate the share of run time)
+const ETF_BACKTEST_STAGES = [
+  { key: 'holdings', label: '获取ETF持仓', weight: 2 },
+  { key: 'prices', label: '获取行情数据', weight: 30 },
+  { key: 'factors', label: '获取因子数据', weight: 30 },
+  { key: 'benchmark', label: '获取基准数据', weight: 2 },
+  { key: 'listings', label: '获取上市信息', weight: 10 },
+  { key: 'rebalance', label: '调仓日重算因子', weight: 20 },
+  { key: 'stockInfo', label: '获取股票信息', weight: 4 },
+  { key: 'calculating', label: '计算净值', weight: 2 }
+];
+const CUSTOM_BACKTEST_STAGES = [
+  { key: 'holdings', label: '获取ETF持仓', weight: 2 },
+  { key: 'prices', label: '获取行情数据', weight: 40 },
+  { key: 'factors', label: '获取因子数据', weight: 20 },
+  { key: 'stockInfo', label: '获取股票信息', weight: 10 },
+  { key: 'listings', label: '获取上市信息', weight: 15 },
+  { key: 'rebalance', label: '调仓日重算因子', weight: 10 },
+  { key: 'calculating', label: '计算净值', weight: 3 }
+];
+const TARGET_PORTFOLIO_STAGES = [
+  { key: 'holdings', label: '获取ETF持仓', weight: 5 },
+  { key: 'factors', label: '获取因子数据', weight: 60 },
+  { key: 'prices', label: '获取最新价格', weight: 20 },
+  { key: 'stockInfo', label: '获取股票信息', weight: 15 }
+];
+
+// ETF holdings replication with dual-factor weighting
+// Returns { status, body } for the HTTP endpoint or a background job;
+// onProgress receives the progress of each stage (see lib/jobs.js)
+async function runEtfBacktest(params, onProgress = () => {}) {
+  const progress = createProgressReporter(ETF_BACKTEST_STAGES, onProgress);
+  try {
+    const { startDate: requestedStartDate, endDate, etfCode = DEFAULT_ETF_CODE, factors = DEFAULT_FACTOR_WEIGHTS, normalization = 'minmax', weighting = 'score', topN = null, constraints = null, costs, rebalance = 'none', constituents = 'latest', priceAdjustment = 'price', benchmark = 'close', benchmarkIndex = null, riskFreeRate = DEFAULT_RISK_FREE_RATE } = params;
+    // Moved to the first disclosure date in history mode when nothing was disclosed by then
+    let startDate = requestedStartDate;
+    
+    if (typeof etfCode !== 'string' || !ETF_CODE_PATTERN.test(etfCode)) {
+      return { status: 400, body: {
+        error: 'Invalid ETF code',
+        message: 'etfCode must be a ts_code such as 512890.SH or 159905.SZ'
+      } };
+    }
+    
+    if (!REBALANCE_FREQUENCIES.includes(rebalance)) {
+      return { status: 400, body: {
+        error: 'Invalid rebalance frequency',
+        message: `rebalance must be one of: ${REBALANCE_FREQUENCIES.join(', ')}`
+      } };
+    }
+    
+    if (!CONSTITUENT_MODES.includes(constituents)) {
+      return { status: 400, body: {
+        error: 'Invalid constituents mode',
+        message: `constituents must be one of: ${CONSTITUENT_MODES.join(', ')}`
+      } };
+    }
+    
+    if (!PRICE_ADJUSTMENTS.includes(priceAdjustment)) {
+      return { status: 400, body: {
+        error: 'Invalid price adjustment mode',
+        message: `priceAdjustment must be one of: ${PRICE_ADJUSTMENTS.join(', ')}`
+      } };
+    }
+    
+    if (!BENCHMARK_MODES.includes(benchmark)) {
+      return { status: 400, body: {
+        error: 'Invalid benchmark mode',
+        message: `benchmark must be one of: ${BENCHMARK_MODES.join(', ')}`
+      } };
+    }
+    
+    if (benchmarkIndex !== null && (typeof benchmarkIndex !== 'string' || !INDEX_CODE_PATTERN.test(benchmarkIndex))) {
+      return { status: 400, body: {
+        error: 'Invalid benchmark index',
+        message: 'benchmarkIndex must be an index ts_code such as H30269.CSI or 000922.CSI'
+      } };
+    }
+    
+    if (typeof riskFreeRate !== 'number' || !isFinite(riskFreeRate)) {
+      return { status: 400, body: {
+        error: 'Invalid risk-free rate',
+        message: 'riskFreeRate must be an annual rate in percent, e.g. 2 for 2%'
+      } };
+    }
+    
+    const costError = validateCostModel(costs);
+    if (costError) {
+      return { status: 400, body: {
+        error: 'Invalid cost model',
+        message: costError
+      } };
+    }
+    const costModel = resolveCostModel(costs);
+    
+    const { error: factorSettingsError, settings: factorSettings } = resolveFactorSettings({ factors, normalization, weighting, topN, constraints });
+    if (factorSettingsError) {
+      return { status: 400, body: factorSettingsError };
+    }
+    
+    console.log(`Fetching ${etfCode} ETF holdings and calculating dual-factor weights from ${startDate} to ${endDate}`);
     console.log(`Tushare token configured: ${!!TUSHARE_TOKEN}`);
     
     // Step 1: Get ETF portfolio holdings
-    const etfPortfolio = await getFundPortfolio('512890.SH', endDate);
+    progress('holdings');
+    // 'latest' applies the most recent full report to the whole range;
+    // 'history' applies each report from its disclosure date forward
+    let etfPortfolio = null;
+    let universeSchedule = [];
+    
+    if (constituents === 'history') {
+      const history = await getFundPortfolioHistory(etfCode);
+      // Nothing is known about the holdings before the first disclosure, so the
+      // backtest starts on that date rather than using holdings disclosed later
+      if (history.length > 0 && history[0].annDate > startDate && history[0].annDate <= endDate) {
+        startDate = history[0].annDate;
+        console.log(`No holdings disclosed by ${requestedStartDate}; starting at the first disclosure on ${startDate}`);
+      }
+      // The period in force at startDate plus every period disclosed within the range
+      const inForce = history.filter(p => p.annDate <= startDate);
+      const periods = [
+        ...inForce.slice(-1),
+        ...history.filter(p => p.annDate > startDate && p.annDate <= endDate)
+      ];
+      
+      if (periods.length > 0) {
+        etfPortfolio = {
+          fields: periods[0].fields,
+          items: periods.flatMap(p => p.items)
+        };
+        universeSchedule = await Promise.all(periods.map(async p => {
+          const symbolIdx = p.fields.indexOf('symbol');
+          const holdings = p.items.filter(item => item[symbolIdx]);
+          const { codes, resolved } = await stockResolver.resolveStockCodes(holdings.map(item => item[symbolIdx]));
+          return {
+            date: p.annDate,
+            period: p.period,
+            codes: codes,
+            disclosed: calculateDisclosedWeights(p.fields, holdings, resolved)
+          };
+        }));
+      }
+    } else {
+      etfPortfolio = await getFundPortfolio(etfCode, endDate);
+    }
     
     if (!etfPortfolio || !etfPortfolio.items || etfPortfolio.items.length === 0) {
       console.error('Failed to fetch ETF portfolio data');
       console.error('etfPortfolio:', etfPortfolio);
-      return res.status(404).json({ 
+      return { status: 404, body: {
         error: 'ETF portfolio data not available',
-        message: '无法获取512890的持仓数据，请检查日期或稍后重试。请确保已配置TUSHARE_TOKEN环境变量。',
+        message: constituents === 'history'
+          ? `无法获取${etfCode}在${endDate}之前披露的持仓数据，请检查日期或稍后重试。请确保已配置TUSHARE_TOKEN环境变量。`
+          : `无法获取${etfCode}的持仓数据，请检查日期或稍后重试。请确保已配置TUSHARE_TOKEN环境变量。`,
         hasToken: !!TUSHARE_TOKEN
-      });
+      } };
     }
     
     // Extract stock codes from ETF holdings
@@ -471,60 +1205,40 @@ app.post('/api/backtest-etf', async (req, res) => {
     const symbolIdx = fields.indexOf('symbol');
     
     // Get all stock codes
-    const symbols = etfPortfolio.items.map(item => item[symbolIdx]).filter(s => s);
+    const holdings = etfPortfolio.items.filter(item => item[symbolIdx]);
+    const symbols = holdings.map(item => item[symbolIdx]);
     
     console.log(`Found ${symbols.length} symbols in ETF portfolio`);
     console.log('First 10 symbols:', symbols.slice(0, 10));
     console.log('Sample portfolio item:', etfPortfolio.items[0]);
     
-    // Convert symbols to ts_code format using rule-based approach (avoid excessive API calls)
-    const stockCodes = symbols.map(symbol => {
-      // Check if symbol already has exchange suffix
-      if (symbol.includes('.')) {
-        return symbol; // Already in ts_code format
-      }
-      
-      const code = parseInt(symbol);
-      
-      // Shanghai Stock Exchange
-      if (code >= 600000 && code <= 609999) {
-        return `${symbol}.SH`;
-      }
-      // Shanghai A-shares (60xxxx, 68xxxx)
-      else if (code >= 600000 && code <= 699999) {
-        return `${symbol}.SH`;
-      }
-      // Shenzhen Stock Exchange (Main Board 000xxx)
-      else if (code >= 0 && code <= 3999) {
-        return `${symbol.padStart(6, '0')}.SZ`;
-      }
-      // ChiNext (创业板 300xxx)
-      else if (code >= 300000 && code <= 309999) {
-        return `${symbol}.SZ`;
-      }
-      // Shenzhen 002xxx
-      else if (code >= 2000 && code <= 2999) {
-        return `${symbol.padStart(6, '0')}.SZ`;
-      }
-      // Default to Shenzhen for others
-      else {
-        return `${symbol.padStart(6, '0')}.SZ`;
-      }
-    }).filter(code => code);
+    // Convert symbols to ts_code format (duplicates removed)
+    const { codes: uniqueStockCodes, invalid: unresolvedSymbols, resolved: holdingCodes } = await stockResolver.resolveStockCodes(symbols);
+    if (unresolvedSymbols.length > 0) {
+      console.warn('Skipping unresolved holdings:', unresolvedSymbols.map(s => `${s.code} (${s.reason})`).join(', '));
+    }
     
-    // Remove duplicates
-    const uniqueStockCodes = [...new Set(stockCodes)];
+    // The ETF's own disclosed weights at the start of the backtest (replication baseline)
+    const endDateIdx = fields.indexOf('end_date');
+    const initialDisclosure = getScheduleEntryAt(universeSchedule, startDate) || {
+      period: endDateIdx >= 0 ? holdings[0][endDateIdx] : null,
+      disclosed: calculateDisclosedWeights(fields, holdings, holdingCodes)
+    };
     
     console.log(`Converted to ${uniqueStockCodes.length} unique ts_codes. First 10:`, uniqueStockCodes.slice(0, 10));
     
+    // Stocks in the universe at the start of the backtest
+    const initialCodes = getUniverseAt(universeSchedule, startDate) || uniqueStockCodes;
+    
     // Step 2: Fetch historical price data for all stocks (with batch processing)
-    console.log('Fetching historical price data...');
+    console.log(`Fetching historical price data (${priceAdjustment} adjustment)...`);
     const stocksData = await batchProcess(uniqueStockCodes, async (code) => {
       try {
-        const data = await getDailyData(code, startDate, endDate);
+        const { data, dividendCheck } = await getAdjustedDailyData(code, startDate, endDate, priceAdjustment);
         return {
           code: code,
-          data: data
+          data: data,
+          dividendCheck: dividendCheck
         };
       } catch (error) {
         console.error(`Error fetching data for ${code}:`, error.message);
@@ -534,187 +1248,86 @@ app.post('/api/backtest-etf', async (req, res) => {
           error: error.message
         };
       }
-    }, 10); // Process 10 stocks at a time
+    }, 10, (done, total) => progress('prices', done, total)); // Process 10 stocks at a time
     
-    // Step 3: Fetch factor data (dividend yield and ROCE) for all stocks
-    console.log(`\nFetching factor data for ${uniqueStockCodes.length} stocks...`);
-    console.log('Using latest available financial reports (no date restriction)');
-    
-    const stocksFactors = await batchProcess(uniqueStockCodes, async (code, index) => {
-      try {
-        console.log(`\n[${index + 1}/${uniqueStockCodes.length}] Processing ${code}...`);
-        
-        const [dailyBasicInfo, incomeData, balanceData] = await Promise.all([
-          getDailyBasic(code, endDate),
-          getIncomeStatement(code),
-          getBalanceSheet(code)
-        ]);
-        
-        let dividendYield = 0;
-        let roce = null;
-        
-        // Extract dividend yield and market cap from daily basic
-        let marketCap = null;
-        if (dailyBasicInfo && dailyBasicInfo.items && dailyBasicInfo.items.length > 0) {
-          const fields = dailyBasicInfo.fields;
-          const dvYieldIdx = fields.indexOf('dv_ratio');
-          const dvTtmIdx = fields.indexOf('dv_ttm');
-          const totalMvIdx = fields.indexOf('total_mv');
-          
-          // Try dv_ratio first, then dv_ttm
-          if (dvYieldIdx >= 0 && dailyBasicInfo.items[0][dvYieldIdx]) {
-            dividendYield = dailyBasicInfo.items[0][dvYieldIdx];
-          } else if (dvTtmIdx >= 0 && dailyBasicInfo.items[0][dvTtmIdx]) {
-            dividendYield = dailyBasicInfo.items[0][dvTtmIdx];
-          }
-          
-          // Get market cap
-          if (totalMvIdx >= 0 && dailyBasicInfo.items[0][totalMvIdx]) {
-            marketCap = dailyBasicInfo.items[0][totalMvIdx];
-          }
-          
-          console.log(`${code} dividend yield: ${dividendYield}, market cap: ${marketCap}`);
-        } else {
-          console.log(`${code} no daily basic data`);
-        }
-        
-        // Calculate ROCE = EBIT / (Total Assets - Current Liabilities)
-        let ebit = null;
-        let totalAssets = null;
-        let currentLiab = null;
-        
-        if (incomeData && incomeData.items && incomeData.items.length > 0) {
-          const fields = incomeData.fields;
-          const ebitIdx = fields.indexOf('ebit');
-          const operateProfitIdx = fields.indexOf('operate_profit');
-          const totalProfitIdx = fields.indexOf('total_profit');
-          
-          // Try EBIT first, then operate_profit, then total_profit (for financial companies)
-          if (ebitIdx >= 0 && incomeData.items[0][ebitIdx]) {
-            ebit = incomeData.items[0][ebitIdx];
-          } else if (operateProfitIdx >= 0 && incomeData.items[0][operateProfitIdx]) {
-            ebit = incomeData.items[0][operateProfitIdx]; // Use operating profit as fallback
-            console.log(`${code} using operate_profit instead of EBIT`);
-          } else if (totalProfitIdx >= 0 && incomeData.items[0][totalProfitIdx]) {
-            ebit = incomeData.items[0][totalProfitIdx]; // Use total profit as last resort
-            console.log(`${code} using total_profit instead of EBIT`);
-          }
-          
-          console.log(`${code} EBIT/Profit: ${ebit}`);
-        } else {
-          console.log(`${code} no income data`);
-        }
-        
-        if (balanceData && balanceData.items && balanceData.items.length > 0) {
-          const fields = balanceData.fields;
-          const assetsIdx = fields.indexOf('total_assets');
-          const liabIdx = fields.indexOf('total_cur_liab');
-          const totalLiabIdx = fields.indexOf('total_liab');
-          const equityIdx = fields.indexOf('total_hldr_eqy_exc_min_int');
-          
-          if (assetsIdx >= 0) totalAssets = balanceData.items[0][assetsIdx];
-          if (liabIdx >= 0) currentLiab = balanceData.items[0][liabIdx];
-          
-          // For financial companies (banks, insurance), current_liab is null
-          // Use total equity as capital employed instead
-          if (!currentLiab && equityIdx >= 0) {
-            const totalEquity = balanceData.items[0][equityIdx];
-            if (totalEquity) {
-              currentLiab = totalAssets - totalEquity; // Calculate implied "non-equity" portion
-              console.log(`${code} using total equity method (financial company)`);
-            }
-          }
-          
-          console.log(`${code} Assets: ${totalAssets}, Current Liab: ${currentLiab}`);
-        } else {
-          console.log(`${code} no balance data`);
-        }
-        
-        if (ebit && totalAssets && currentLiab) {
-          const capitalEmployed = totalAssets - currentLiab;
-          if (capitalEmployed > 0) {
-            roce = (ebit / capitalEmployed) * 100; // Convert to percentage
-            console.log(`${code} ROCE: ${roce.toFixed(2)}%`);
-          }
-        } else {
-          console.log(`${code} cannot calculate ROCE - missing data`);
-        }
-        
-        return {
-          code: code,
-          dividendYield: dividendYield || 0,
-          roce: roce,
-          marketCap: marketCap
-        };
-      } catch (error) {
-        console.error(`Error fetching factors for ${code}:`, error.message);
-        return {
-          code: code,
-          dividendYield: 0,
-          roce: null,
-          marketCap: null
-        };
-      }
-    }, 5); // Process 5 stocks at a time for factor data (reduced to avoid rate limits)
+    // Step 3: Fetch factor data for all stocks
+    console.log(`\nFetching factor data for ${initialCodes.length} stocks...`);
+    console.log(`Using point-in-time financial reports announced before ${startDate}`);
     
-    // Fetch ETF data
-    console.log('Fetching ETF data...');
-    const etfData = await getFundDailyData('512890.SH', startDate, endDate);
+    const initialConstraints = await factorWeightsAt(initialCodes, startDate, factorSettings, (done, total) => progress('factors', done, total));
+    const { stocksFactors, factorScores, weights } = initialConstraints;
     
-    // Step 4: Calculate dual-factor weights
-    const { weights, processedFactors } = calculateDualFactorWeights(stocksFactors);
+    // Fetch ETF benchmark data
+    console.log(`Fetching ETF benchmark data (${benchmark})...`);
+    progress('benchmark');
+    const [benchmarks, etfName] = await Promise.all([
+      getBenchmarks(etfCode, startDate, endDate, benchmark, benchmarkIndex),
+      getFundName(etfCode)
+    ]);
     
-    console.log(`Calculated weights for ${Object.keys(weights).length} stocks`);
+    // Step 4: Recompute factors and weights at each rebalance date
+    // In history mode every constituent change is also a rebalance date
+    const tradingContext = await getTradingContext(uniqueStockCodes, stocksData, startDate, endDate, (done, total) => progress('listings', done, total));
+    const tradeDates = tradingContext.tradeDates;
+    const reportDates = rebalance === 'report' ? await getFundReportDates(etfCode) : [];
+    const rebalanceDates = [...new Set([
+      ...getRebalanceDates(tradeDates, rebalance, reportDates),
+      ...getRebalanceDates(tradeDates, 'report', universeSchedule.map(u => u.date))
+    ])].sort((a, b) => a.localeCompare(b));
+    const rebalanceSchedule = [];
+    
+    progress('rebalance', 0, rebalanceDates.length);
+    for (const [i, rebalanceDate] of rebalanceDates.entries()) {
+      console.log(`\nRebalancing on ${rebalanceDate}: recomputing factors...`);
+      const rebalanceCodes = getUniverseAt(universeSchedule, rebalanceDate) || uniqueStockCodes;
+      const rebalanceWeights = await factorWeightsAt(rebalanceCodes, rebalanceDate, factorSettings);
+      rebalanceSchedule.push({
+        date: rebalanceDate,
+        weights: rebalanceWeights.weights,
+        factorSources: Object.fromEntries(rebalanceWeights.stocksFactors.map(f => [f.code, f.factorSource])),
+        constraints: { binding: rebalanceWeights.binding, infeasible: rebalanceWeights.infeasible }
+      });
+      progress('rebalance', i + 1, rebalanceDates.length);
+    }
     
     // Step 5: Fetch stock information for display
+    progress('stockInfo');
     const stockInfoPromises = uniqueStockCodes.map(async (code) => {
       try {
-        const [basicInfo, companyInfo] = await Promise.all([
-          getStockBasicInfo(code),
-          getStockCompanyInfo(code)
+        const [name, industry] = await Promise.all([
+          getStockName(code),
+          getStockIndustry(code)
         ]);
         
-        let name = code;
-        let industry = '-';
         let marketCap = '-';
         const weight = weights[code] || 0;
         
         // Get original factors (for market cap)
         const originalFactors = stocksFactors.find(f => f.code === code);
-        // Get processed factors (with filled ROCE values)
-        const processedFactor = processedFactors.find(f => f.code === code);
         
         // Get market cap from original factors data (already fetched)
         if (originalFactors && originalFactors.marketCap) {
           marketCap = (originalFactors.marketCap / 10000).toFixed(2); // Convert to 亿元
         }
         
-        if (basicInfo && basicInfo.items && basicInfo.items.length > 0) {
-          const fields = basicInfo.fields;
-          const nameIdx = fields.indexOf('name');
-          const industryIdx = fields.indexOf('industry');
-          if (nameIdx >= 0) name = basicInfo.items[0][nameIdx];
-          if (industryIdx >= 0 && basicInfo.items[0][industryIdx]) {
-            industry = basicInfo.items[0][industryIdx];
-          }
-        }
-        
-        if (companyInfo && companyInfo.items && companyInfo.items.length > 0) {
-          const fields = companyInfo.fields;
-          const industryIdx = fields.indexOf('industry');
-          if (industryIdx >= 0 && companyInfo.items[0][industryIdx]) {
-            industry = companyInfo.items[0][industryIdx];
-          }
-        }
-        
         return {
           code: code,
           name: name,
-          industry: industry,
+          industry: industry || '-',
           marketCap: marketCap,
           weight: (weight * 100).toFixed(2), // Convert to percentage
           dividendYield: originalFactors ? originalFactors.dividendYield.toFixed(2) : '-',
-          roce: originalFactors && originalFactors.roce !== null ? originalFactors.roce.toFixed(2) : '-'
+          roce: originalFactors && originalFactors.roce !== null ? originalFactors.roce.toFixed(2) : '-',
+          reportPeriod: originalFactors && originalFactors.factorSource && originalFactors.factorSource.income
+            ? originalFactors.factorSource.income.period
+            : '-',
+          factorValues: originalFactors ? originalFactors.factors : null,
+          factorScores: factorScores[code] || null,
+          factorSource: originalFactors ? originalFactors.factorSource : null,
+          etfWeight: code in initialDisclosure.disclosed.weights
+            ? (initialDisclosure.disclosed.weights[code] * 100).toFixed(2)
+            : '-',
+          constituentPeriods: universeSchedule.filter(u => u.codes.includes(code)).map(u => u.period)
         };
       } catch (error) {
         console.error(`Error fetching info for ${code}:`, error.message);
@@ -725,7 +1338,13 @@ app.post('/api/backtest-etf', async (req, res) => {
           marketCap: '-',
           weight: '0.00',
           dividendYield: '-',
-          roce: '-'
+          roce: '-',
+          reportPeriod: '-',
+          factorValues: null,
+          factorScores: null,
+          factorSource: null,
+          etfWeight: '-',
+          constituentPeriods: []
         };
       }
     });
@@ -733,68 +1352,335 @@ app.post('/api/backtest-etf', async (req, res) => {
     const stocksInfo = await Promise.all(stockInfoPromises);
     
     // Step 6: Calculate portfolio net value with weights
-    const portfolioNetValue = calculatePortfolioNetValue(stocksData, weights);
+    progress('calculating');
+    const { netValue: portfolioNetValue, rebalanceLog, costs: costSummary, coverage, contributions } = calculatePortfolioNetValue(stocksData, weights, {
+      rebalanceSchedule: rebalanceSchedule,
+      universeSchedule: universeSchedule,
+      costModel: costModel,
+      tradeDates: tradeDates,
+      listings: tradingContext.listings
+    });
+    const coverageByCode = new Map(coverage.map(c => [c.code, c]));
+    stocksInfo.forEach(info => {
+      info.coverage = coverageByCode.get(info.code) || null;
+    });
+    
+    // Attach the point-in-time factor sources and binding constraints of each rebalance
+    rebalanceLog.forEach(entry => {
+      const scheduled = rebalanceSchedule.find(r => r.date === entry.date);
+      entry.factorSources = scheduled ? scheduled.factorSources : {};
+      if (hasConstraints(constraints)) {
+        entry.constraints = scheduled ? scheduled.constraints : null;
+      }
+    });
     
-    // Calculate ETF net value
-    const etfNetValue = calculateETFNetValue(etfData);
+    // Step 6a: Replicate the ETF with its own disclosed weights. Holdings drift with prices
+    // and are reset when a new report is disclosed (history mode), so the gap to the ETF is
+    // the replication error (fees, cash, stale holdings) and the gap to the portfolio is
+    // what the factor reweighting adds.
+    const replicationSchedule = universeSchedule
+      .map(u => ({ date: tradeDates.find(d => d >= u.date), weights: u.disclosed.weights }))
+      .filter(r => r.date && r.date !== tradeDates[0]);
+    const replication = calculatePortfolioNetValue(stocksData, initialDisclosure.disclosed.weights, {
+      rebalanceSchedule: replicationSchedule,
+      universeSchedule: universeSchedule,
+      costModel: costModel,
+      tradeDates: tradeDates,
+      listings: tradingContext.listings
+    });
+    
+    // Step 6b: Contribution of each stock and industry, with the Brinson attribution of the
+    // excess return over the replication
+    const totalReturn = series => (series.length > 0 ? series[series.length - 1].netValue - 1 : 0);
+    const attribution = calculateAttribution(
+      contributions,
+      replication.contributions,
+      Object.fromEntries(stocksInfo.map(s => [s.code, s.industry])),
+      { portfolio: totalReturn(portfolioNetValue), benchmark: totalReturn(replication.netValue) }
+    );
+    
+    const etfNetValue = benchmarks.etf;
     
     // Calculate statistics
     const portfolioReturn = portfolioNetValue.length > 0 
       ? ((portfolioNetValue[portfolioNetValue.length - 1].netValue - 1) * 100).toFixed(2)
       : 0;
     
+    const replicationReturn = replication.netValue.length > 0
+      ? ((replication.netValue[replication.netValue.length - 1].netValue - 1) * 100).toFixed(2)
+      : 0;
+    
     const etfReturn = etfNetValue.length > 0
       ? ((etfNetValue[etfNetValue.length - 1].netValue - 1) * 100).toFixed(2)
       : 0;
     
     const validStocks = stocksData.filter(s => s.data && s.data.items && s.data.items.length > 0).length;
     
-    res.json({
+    return { status: 200, body: {
       success: true,
       data: {
         portfolio: portfolioNetValue,
         etf: etfNetValue,
+        etfInfo: {
+          code: etfCode,
+          name: etfName
+        },
+        replication: {
+          netValue: replication.netValue,
+          period: initialDisclosure.period,
+          stockRatio: initialDisclosure.disclosed.stockRatio,
+          rebalanceCount: replication.rebalanceLog.length,
+          costs: replication.costs
+        },
+        benchmarkIndex: benchmarks.index,
         stocksInfo: stocksInfo.sort((a, b) => parseFloat(b.weight) - parseFloat(a.weight)), // Sort by weight descending
+        attribution: attribution,
+        rebalanceLog: rebalanceLog,
+        coverage: describeCoverage(coverage, tradingContext),
+        constituentHistory: universeSchedule.map(u => ({
+          period: u.period,
+          annDate: u.date,
+          stockCount: u.codes.length
+        })),
         statistics: {
           portfolioReturn: portfolioReturn,
           etfReturn: etfReturn,
-          stockCount: stockCodes.length,
+          stockCount: uniqueStockCodes.length,
           validStocks: validStocks,
-          strategy: 'Dual-Factor (Dividend Yield + ROCE)'
+          ...describeFactorSettings(factorSettings, initialConstraints),
+          constituents: constituents,
+          startDate: startDate,
+          requestedStartDate: requestedStartDate,
+          rebalance: rebalance,
+          rebalanceCount: rebalanceLog.length,
+          costs: costSummary,
+          priceAdjustment: priceAdjustment,
+          dividendCheck: priceAdjustment === 'price' ? null : summarizeDividendCheck(stocksData),
+          metrics: calculateMetrics(portfolioNetValue, etfNetValue, riskFreeRate),
+          replicationReturn: replicationReturn,
+          // Replication vs the ETF, and the portfolio vs the replication
+          replicationMetrics: calculateMetrics(replication.netValue, etfNetValue, riskFreeRate),
+          reweightingMetrics: calculateMetrics(portfolioNetValue, replication.netValue, riskFreeRate),
+          benchmark: benchmarks.source,
+          indexReturn: benchmarks.index && benchmarks.index.netValue.length > 0
+            ? ((benchmarks.index.netValue[benchmarks.index.netValue.length - 1].netValue - 1) * 100).toFixed(2)
+            : null,
+          indexMetrics: benchmarks.index ? calculateMetrics(portfolioNetValue, benchmarks.index.netValue, riskFreeRate) : null
         }
       }
-    });
+    } };
     
   } catch (error) {
     console.error('ETF backtest error:', error);
-    res.status(500).json({ 
+    return { status: 500, body: {
       error: 'Failed to perform ETF backtest',
       message: error.message 
-    });
+    } };
   }
-});
+}
 
-// API endpoint for backtesting with dual-factor strategy
-app.post('/api/backtest', async (req, res) => {
+// Backtest of a custom portfolio
+// The stocks come from stockCodes, or from the ETF's latest holdings (useETFHoldings)
+// adjusted by the include/exclude lists. They are weighted equally, by the given
+// { code, weight } pairs, or by factors like the ETF route (weightMode).
+// Returns { status, body } like runEtfBacktest
+async function runCustomBacktest(params, onProgress = () => {}) {
+  const progress = createProgressReporter(CUSTOM_BACKTEST_STAGES, onProgress);
   try {
-    const { stockCodes, startDate, endDate, useETFHoldings } = req.body;
+    const { stockCodes: requestedCodes = [], startDate, endDate, useETFHoldings = false, include = [], exclude = [], weightMode: requestedWeightMode = null, etfCode = DEFAULT_ETF_CODE, factors = DEFAULT_FACTOR_WEIGHTS, normalization = 'minmax', weighting = 'score', topN = null, constraints = null, rebalance = 'none', priceAdjustment = 'price', costs, benchmark = 'close', benchmarkIndex = null, riskFreeRate = DEFAULT_RISK_FREE_RATE } = params;
+    
+    if (!Array.isArray(requestedCodes) || (requestedCodes.length === 0 && !useETFHoldings)) {
+      return { status: 400, body: {
+        error: 'Stock codes are required',
+        message: 'stockCodes must list stock codes or { code, weight } pairs, or set useETFHoldings'
+      } };
+    }
+    
+    if (!Array.isArray(include) || !Array.isArray(exclude)) {
+      return { status: 400, body: {
+        error: 'Invalid include/exclude lists',
+        message: 'include and exclude must be arrays of stock codes'
+      } };
+    }
+    
+    // { code, weight } pairs imply explicit weights
+    const hasExplicitWeights = requestedCodes.some(c => c !== null && typeof c === 'object');
+    const weightMode = requestedWeightMode || (hasExplicitWeights ? 'explicit' : 'equal');
+    if (!CUSTOM_WEIGHT_MODES.includes(weightMode)) {
+      return { status: 400, body: {
+        error: 'Invalid weight mode',
+        message: `weightMode must be one of: ${CUSTOM_WEIGHT_MODES.join(', ')}`
+      } };
+    }
+    
+    if (weightMode === 'explicit') {
+      const validPairs = requestedCodes.length > 0 && requestedCodes.every(c =>
+        c !== null && typeof c === 'object' && typeof c.weight === 'number' && isFinite(c.weight) && c.weight > 0
+      );
+      if (!validPairs || useETFHoldings) {
+        return { status: 400, body: {
+          error: 'Invalid weights',
+          message: 'explicit weights need stockCodes as { code, weight } pairs with positive weights, without useETFHoldings'
+        } };
+      }
+    } else if (hasExplicitWeights) {
+      return { status: 400, body: {
+        error: 'Invalid weights',
+        message: `{ code, weight } pairs need weightMode explicit, not ${weightMode}`
+      } };
+    }
+    
+    let factorSettings = null;
+    if (weightMode === 'factor') {
+      const resolvedSettings = resolveFactorSettings({ factors, normalization, weighting, topN, constraints });
+      if (resolvedSettings.error) {
+        return { status: 400, body: resolvedSettings.error };
+      }
+      factorSettings = resolvedSettings.settings;
+    }
+    
+    if (typeof etfCode !== 'string' || !ETF_CODE_PATTERN.test(etfCode)) {
+      return { status: 400, body: {
+        error: 'Invalid ETF code',
+        message: 'etfCode must be a ts_code such as 512890.SH or 159905.SZ'
+      } };
+    }
+    
+    if (!REBALANCE_FREQUENCIES.includes(rebalance)) {
+      return { status: 400, body: {
+        error: 'Invalid rebalance frequency',
+        message: `rebalance must be one of: ${REBALANCE_FREQUENCIES.join(', ')}`
+      } };
+    }
+    
+    if (!PRICE_ADJUSTMENTS.includes(priceAdjustment)) {
+      return { status: 400, body: {
+        error: 'Invalid price adjustment mode',
+        message: `priceAdjustment must be one of: ${PRICE_ADJUSTMENTS.join(', ')}`
+      } };
+    }
+    
+    if (!BENCHMARK_MODES.includes(benchmark)) {
+      return { status: 400, body: {
+        error: 'Invalid benchmark mode',
+        message: `benchmark must be one of: ${BENCHMARK_MODES.join(', ')}`
+      } };
+    }
+    
+    if (benchmarkIndex !== null && (typeof benchmarkIndex !== 'string' || !INDEX_CODE_PATTERN.test(benchmarkIndex))) {
+      return { status: 400, body: {
+        error: 'Invalid benchmark index',
+        message: 'benchmarkIndex must be an index ts_code such as H30269.CSI or 000922.CSI'
+      } };
+    }
+    
+    if (typeof riskFreeRate !== 'number' || !isFinite(riskFreeRate)) {
+      return { status: 400, body: {
+        error: 'Invalid risk-free rate',
+        message: 'riskFreeRate must be an annual rate in percent, e.g. 2 for 2%'
+      } };
+    }
+    
+    const costError = validateCostModel(costs);
+    if (costError) {
+      return { status: 400, body: {
+        error: 'Invalid cost model',
+        message: costError
+      } };
+    }
+    const costModel = resolveCostModel(costs);
     
-    if (!stockCodes || !Array.isArray(stockCodes) || stockCodes.length === 0) {
-      return res.status(400).json({ error: 'Stock codes are required' });
+    // Resolve codes to ts_codes; 600036, 600036.SH and SH600036 are all accepted
+    const codeInputs = requestedCodes.map(c => (hasExplicitWeights ? c.code : c));
+    const [listed, included, excluded] = await Promise.all(
+      [codeInputs, include, exclude].map(codes => stockResolver.resolveStockCodes(codes, { strict: true }))
+    );
+    const invalidCodes = [listed, included, excluded].flatMap(r => r.invalid);
+    if (invalidCodes.length > 0) {
+      return { status: 400, body: {
+        error: 'Invalid stock codes',
+        message: invalidCodes.map(c => `${c.code}: ${c.reason}`).join('; '),
+        invalidCodes: invalidCodes
+      } };
+    }
+    
+    // Universe: the listed stocks (and the ETF's holdings) plus include, minus exclude
+    let holdingCodes = [];
+    let etfHoldings = null;
+    if (useETFHoldings) {
+      progress('holdings');
+      const etfPortfolio = await getFundPortfolio(etfCode, endDate);
+      if (!etfPortfolio || !etfPortfolio.items || etfPortfolio.items.length === 0) {
+        return { status: 404, body: {
+          error: 'ETF portfolio data not available',
+          message: `无法获取${etfCode}的持仓数据，请检查日期或稍后重试。请确保已配置TUSHARE_TOKEN环境变量。`,
+          hasToken: !!TUSHARE_TOKEN
+        } };
+      }
+      const symbolIdx = etfPortfolio.fields.indexOf('symbol');
+      const endDateIdx = etfPortfolio.fields.indexOf('end_date');
+      holdingCodes = (await stockResolver.resolveStockCodes(etfPortfolio.items.map(item => item[symbolIdx]).filter(s => s))).codes;
+      etfHoldings = {
+        period: endDateIdx >= 0 ? etfPortfolio.items[0][endDateIdx] : null,
+        holdingCount: holdingCodes.length,
+        included: included.codes.filter(code => !holdingCodes.includes(code)),
+        excluded: excluded.codes.filter(code => holdingCodes.includes(code))
+      };
+    }
+    const stockCodes = [...new Set([...holdingCodes, ...listed.codes, ...included.codes])]
+      .filter(code => !excluded.codes.includes(code));
+    
+    if (stockCodes.length === 0) {
+      return { status: 400, body: {
+        error: 'No stocks to backtest',
+        message: '排除后组合中没有股票'
+      } };
+    }
+    
+    // Target weights for equal and explicit modes (factor weights are computed below)
+    let targetWeights = {};
+    if (weightMode === 'explicit') {
+      // Included stocks without a weight would be held at weight 0
+      const unweighted = included.codes.filter(code => stockCodes.includes(code) && !listed.codes.includes(code));
+      if (unweighted.length > 0) {
+        return { status: 400, body: {
+          error: 'Invalid weights',
+          message: `include codes need a weight as { code, weight } pairs in stockCodes: ${unweighted.join(', ')}`,
+          unweightedCodes: unweighted
+        } };
+      }
+      listed.resolved.forEach((code, i) => {
+        if (stockCodes.includes(code)) {
+          targetWeights[code] = (targetWeights[code] || 0) + requestedCodes[i].weight;
+        }
+      });
+      const totalWeight = Object.values(targetWeights).reduce((sum, w) => sum + w, 0);
+      Object.keys(targetWeights).forEach(code => {
+        targetWeights[code] /= totalWeight;
+      });
+    } else if (weightMode === 'equal') {
+      stockCodes.forEach(code => {
+        targetWeights[code] = 1 / stockCodes.length;
+      });
     }
     
     console.log(`Fetching data for ${stockCodes.length} stocks from ${startDate} to ${endDate}`);
     
     // Fetch data for all stocks
+    let fetchedCount = 0;
+    progress('prices', 0, stockCodes.length);
     const stockPromises = stockCodes.map(async (code) => {
       try {
-        const data = await getDailyData(code, startDate, endDate);
+        const { data, dividendCheck } = await getAdjustedDailyData(code, startDate, endDate, priceAdjustment);
+        progress('prices', ++fetchedCount, stockCodes.length);
         return {
           code: code,
-          data: data
+          data: data,
+          dividendCheck: dividendCheck
         };
       } catch (error) {
         console.error(`Error fetching data for ${code}:`, error.message);
+        progress('prices', ++fetchedCount, stockCodes.length);
         return {
           code: code,
           data: null,
@@ -803,45 +1689,35 @@ app.post('/api/backtest', async (req, res) => {
       }
     });
     
-    // Fetch ETF data (512890.SH)
-    const etfPromise = getFundDailyData('512890.SH', startDate, endDate);
+    // Fetch benchmark ETF data
+    const benchmarksPromise = getBenchmarks(etfCode, startDate, endDate, benchmark, benchmarkIndex);
     
-    const [stocksData, etfData] = await Promise.all([
+    const [stocksData, benchmarks, etfName] = await Promise.all([
       Promise.all(stockPromises),
-      etfPromise
+      benchmarksPromise,
+      getFundName(etfCode)
     ]);
     
+    // Factor weights with data known at the start of the backtest
+    let initialFactorWeights = null;
+    if (weightMode === 'factor') {
+      console.log(`Calculating factor weights for ${stockCodes.length} stocks as of ${startDate}`);
+      initialFactorWeights = await factorWeightsAt(stockCodes, startDate, factorSettings, (done, total) => progress('factors', done, total));
+      targetWeights = initialFactorWeights.weights;
+    }
+    
     // Fetch stock information (name, industry, market cap)
+    progress('stockInfo');
     const stockInfoPromises = stockCodes.map(async (code) => {
       try {
-        const [basicInfo, companyInfo, dailyBasicInfo] = await Promise.all([
-          getStockBasicInfo(code),
-          getStockCompanyInfo(code),
+        const [name, industry, dailyBasicInfo] = await Promise.all([
+          getStockName(code),
+          getStockIndustry(code),
           getDailyBasic(code, endDate)
         ]);
         
-        let name = code;
-        let industry = '-';
         let marketCap = '-';
         
-        if (basicInfo && basicInfo.items && basicInfo.items.length > 0) {
-          const fields = basicInfo.fields;
-          const nameIdx = fields.indexOf('name');
-          const industryIdx = fields.indexOf('industry');
-          if (nameIdx >= 0) name = basicInfo.items[0][nameIdx];
-          if (industryIdx >= 0 && basicInfo.items[0][industryIdx]) {
-            industry = basicInfo.items[0][industryIdx];
-          }
-        }
-        
-        if (companyInfo && companyInfo.items && companyInfo.items.length > 0) {
-          const fields = companyInfo.fields;
-          const industryIdx = fields.indexOf('industry');
-          if (industryIdx >= 0 && companyInfo.items[0][industryIdx]) {
-            industry = companyInfo.items[0][industryIdx];
-          }
-        }
-        
         if (dailyBasicInfo && dailyBasicInfo.items && dailyBasicInfo.items.length > 0) {
           const fields = dailyBasicInfo.fields;
           const totalMvIdx = fields.indexOf('total_mv');
@@ -851,37 +1727,78 @@ app.post('/api/backtest', async (req, res) => {
           }
         }
         
-        return {
+        const info = {
           code: code,
           name: name,
-          industry: industry,
-          marketCap: marketCap
+          industry: industry || '-',
+          marketCap: marketCap,
+          weight: ((targetWeights[code] || 0) * 100).toFixed(2) // Convert to percentage
         };
+        if (initialFactorWeights) {
+          const stockFactors = initialFactorWeights.stocksFactors.find(f => f.code === code);
+          info.factorValues = stockFactors ? stockFactors.factors : null;
+          info.factorScores = initialFactorWeights.factorScores[code] || null;
+          info.factorSource = stockFactors ? stockFactors.factorSource : null;
+        }
+        return info;
       } catch (error) {
         console.error(`Error fetching info for ${code}:`, error.message);
         return {
           code: code,
           name: code,
           industry: '-',
-          marketCap: '-'
+          marketCap: '-',
+          weight: ((targetWeights[code] || 0) * 100).toFixed(2)
         };
       }
     });
     
-    const stocksInfo = await Promise.all(stockInfoPromises);
+    const stocksInfo = (await Promise.all(stockInfoPromises))
+      .sort((a, b) => parseFloat(b.weight) - parseFloat(a.weight)); // Sort by weight descending
+    
+    // Reset to the target weights at each rebalance date; factor weights are recomputed
+    // with the data known on that date
+    const tradingContext = await getTradingContext(stockCodes, stocksData, startDate, endDate, (done, total) => progress('listings', done, total));
+    const reportDates = rebalance === 'report' ? await getFundReportDates(etfCode) : [];
+    const rebalanceDates = getRebalanceDates(tradingContext.tradeDates, rebalance, reportDates);
+    const rebalanceSchedule = [];
+    if (weightMode === 'factor') progress('rebalance', 0, rebalanceDates.length);
+    for (const [i, rebalanceDate] of rebalanceDates.entries()) {
+      if (weightMode !== 'factor') {
+        rebalanceSchedule.push({ date: rebalanceDate, weights: targetWeights });
+        continue;
+      }
+      console.log(`\nRebalancing on ${rebalanceDate}: recomputing factors...`);
+      const rebalanceWeights = await factorWeightsAt(stockCodes, rebalanceDate, factorSettings);
+      rebalanceSchedule.push({
+        date: rebalanceDate,
+        weights: rebalanceWeights.weights,
+        factorSources: Object.fromEntries(rebalanceWeights.stocksFactors.map(f => [f.code, f.factorSource])),
+        constraints: { binding: rebalanceWeights.binding, infeasible: rebalanceWeights.infeasible }
+      });
+      progress('rebalance', i + 1, rebalanceDates.length);
+    }
     
-    // Calculate equal weights for custom portfolio
-    const equalWeights = {};
-    const equalWeight = 1 / stockCodes.length;
-    stockCodes.forEach(code => {
-      equalWeights[code] = equalWeight;
+    progress('calculating');
+    const { netValue: portfolioNetValue, rebalanceLog, costs: costSummary, coverage, contributions } = calculatePortfolioNetValue(stocksData, targetWeights, {
+      rebalanceSchedule: rebalanceSchedule,
+      costModel: costModel,
+      tradeDates: tradingContext.tradeDates,
+      listings: tradingContext.listings
     });
     
-    // Calculate portfolio net value with equal weights
-    const portfolioNetValue = calculatePortfolioNetValue(stocksData, equalWeights);
+    // Attach the point-in-time factor sources and binding constraints of each rebalance
+    if (weightMode === 'factor') {
+      rebalanceLog.forEach(entry => {
+        const scheduled = rebalanceSchedule.find(r => r.date === entry.date);
+        entry.factorSources = scheduled ? scheduled.factorSources : {};
+        if (hasConstraints(factorSettings.constraints)) {
+          entry.constraints = scheduled ? scheduled.constraints : null;
+        }
+      });
+    }
     
-    // Calculate ETF net value
-    const etfNetValue = calculateETFNetValue(etfData);
+    const etfNetValue = benchmarks.etf;
     
     // Calculate statistics
     const portfolioReturn = portfolioNetValue.length > 0 
@@ -892,26 +1809,685 @@ app.post('/api/backtest', async (req, res) => {
       ? ((etfNetValue[etfNetValue.length - 1].netValue - 1) * 100).toFixed(2)
       : 0;
     
-    res.json({
+    return { status: 200, body: {
       success: true,
       data: {
         portfolio: portfolioNetValue,
         etf: etfNetValue,
+        etfInfo: {
+          code: etfCode,
+          name: etfName
+        },
+        benchmarkIndex: benchmarks.index,
         stocksInfo: stocksInfo,
+        // Contributions only: a custom portfolio has no disclosed weights to compare with
+        attribution: calculateAttribution(contributions, null, Object.fromEntries(stocksInfo.map(s => [s.code, s.industry]))),
+        rebalanceLog: rebalanceLog,
+        coverage: describeCoverage(coverage, tradingContext),
         statistics: {
           portfolioReturn: portfolioReturn,
           etfReturn: etfReturn,
           stockCount: stockCodes.length,
-          validStocks: stocksData.filter(s => s.data && s.data.items && s.data.items.length > 0).length
+          validStocks: stocksData.filter(s => s.data && s.data.items && s.data.items.length > 0).length,
+          weightMode: weightMode,
+          ...(initialFactorWeights ? describeFactorSettings(factorSettings, initialFactorWeights) : {}),
+          etfHoldings: etfHoldings,
+          rebalance: rebalance,
+          rebalanceCount: rebalanceLog.length,
+          costs: costSummary,
+          priceAdjustment: priceAdjustment,
+          dividendCheck: priceAdjustment === 'price' ? null : summarizeDividendCheck(stocksData),
+          metrics: calculateMetrics(portfolioNetValue, etfNetValue, riskFreeRate),
+          benchmark: benchmarks.source,
+          indexReturn: benchmarks.index && benchmarks.index.netValue.length > 0
+            ? ((benchmarks.index.netValue[benchmarks.index.netValue.length - 1].netValue - 1) * 100).toFixed(2)
+            : null,
+          indexMetrics: benchmarks.index ? calculateMetrics(portfolioNetValue, benchmarks.index.netValue, riskFreeRate) : null
         }
       }
-    });
+    } };
     
   } catch (error) {
     console.error('Backtest error:', error);
-    res.status(500).json({ 
+    return { status: 500, body: {
       error: 'Failed to perform backtest',
       message: error.message 
+    } };
+  }
+}
+
+// Latest unadjusted close of a stock on or before asOfDate: { price, date }, or null when
+// it has not traded in the month before
+async function getLatestClose(tsCode, asOfDate) {
+  try {
+    const data = await getDailyData(tsCode, shiftDate(asOfDate, -31), asOfDate);
+    if (!data || !data.items || data.items.length === 0) return null;
+    const dateIdx = data.fields.indexOf('trade_date');
+    const closeIdx = data.fields.indexOf('close');
+    const latest = data.items
+      .filter(item => item[dateIdx] <= asOfDate && item[closeIdx] > 0)
+      .sort((a, b) => b[dateIdx].localeCompare(a[dateIdx]))[0];
+    return latest ? { price: latest[closeIdx], date: latest[dateIdx] } : null;
+  } catch (error) {
+    console.error(`Error fetching latest close for ${tsCode}:`, error.message);
+    return null;
+  }
+}
+
+// Whole lots for target weights and the trades to reach them from currentShares, with the
+// estimated costs of those trades (null without a cost model)
+// Lots are allocated against the capital less the costs, so that the target plus its costs
+// fits in the capital: each round lowers the budget by the overrun of the previous one.
+function allocateWithinCapital(targetWeights, prices, capital, currentShares, costModel, date) {
+  let budget = capital;
+  let plan;
+  for (let round = 0; round < MAX_COST_ROUNDS; round++) {
+    const allocation = allocateLots(targetWeights, prices, budget, { lotSize: LOT_SIZE });
+    const trades = planTrades(currentShares, allocation.shares, prices, { lotSize: LOT_SIZE });
+    const tradeCosts = costModel ? calculateTradeCosts(
+      trades.filter(t => t.value !== null).map(t => (t.action === 'buy' ? t.value : -t.value)),
+      costModel,
+      date
+    ) : null;
+    plan = { allocation, trades, tradeCosts };
+    const overrun = allocation.invested + (tradeCosts ? tradeCosts.total : 0) - capital;
+    if (overrun <= 0) break;
+    budget -= overrun;
+  }
+  return plan;
+}
+
+// Current target portfolio for live rebalancing
+// Weights the ETF holdings in force on asOfDate by factors with data known on that date,
+// turns capital into whole lots at the latest close and lists the trades from the current
+// positions (CSV text or { code, shares } pairs, see lib/target.js) to the target.
+// Returns { status, body } like runEtfBacktest
+async function runTargetPortfolio(params, onProgress = () => {}) {
+  const progress = createProgressReporter(TARGET_PORTFOLIO_STAGES, onProgress);
+  try {
+    const today = todayInChina();
+    const { capital, asOfDate = today, etfCode = DEFAULT_ETF_CODE, factors = DEFAULT_FACTOR_WEIGHTS, normalization = 'minmax', weighting = 'score', topN = null, constraints = null, costs, positions = [] } = params;
+    
+    if (typeof capital !== 'number' || !isFinite(capital) || capital <= 0) {
+      return { status: 400, body: {
+        error: 'Invalid capital',
+        message: 'capital must be a positive amount in yuan'
+      } };
+    }
+    
+    if (typeof asOfDate !== 'string' || !/^\d{8}$/.test(asOfDate) || asOfDate > today) {
+      return { status: 400, body: {
+        error: 'Invalid as-of date',
+        message: 'asOfDate must be a YYYYMMDD date no later than today'
+      } };
+    }
+    
+    if (typeof etfCode !== 'string' || !ETF_CODE_PATTERN.test(etfCode)) {
+      return { status: 400, body: {
+        error: 'Invalid ETF code',
+        message: 'etfCode must be a ts_code such as 512890.SH or 159905.SZ'
+      } };
+    }
+    
+    const { error: factorSettingsError, settings: factorSettings } = resolveFactorSettings({ factors, normalization, weighting, topN, constraints });
+    if (factorSettingsError) {
+      return { status: 400, body: factorSettingsError };
+    }
+    
+    const costError = validateCostModel(costs);
+    if (costError) {
+      return { status: 400, body: {
+        error: 'Invalid cost model',
+        message: costError
+      } };
+    }
+    const costModel = resolveCostModel(costs);
+    
+    const parsedPositions = parsePositions(positions);
+    if (parsedPositions.errors.length > 0) {
+      return { status: 400, body: {
+        error: 'Invalid positions',
+        message: parsedPositions.errors.map(e => (e.line ? `第${e.line}行：${e.reason}` : e.reason)).join('; '),
+        positionErrors: parsedPositions.errors
+      } };
+    }
+    const positionCodes = await stockResolver.resolveStockCodes(parsedPositions.positions.map(p => p.code), { strict: true });
+    if (positionCodes.invalid.length > 0) {
+      return { status: 400, body: {
+        error: 'Invalid stock codes',
+        message: positionCodes.invalid.map(c => `${c.code}: ${c.reason}`).join('; '),
+        invalidCodes: positionCodes.invalid
+      } };
+    }
+    // The same stock may appear on several lines (e.g. several accounts)
+    const currentShares = {};
+    positionCodes.resolved.forEach((code, i) => {
+      currentShares[code] = (currentShares[code] || 0) + parsedPositions.positions[i].shares;
+    });
+    
+    // Holdings in force on asOfDate: the latest full report disclosed by then
+    progress('holdings');
+    const history = await getFundPortfolioHistory(etfCode);
+    const holdings = history.filter(p => p.annDate <= asOfDate).pop();
+    if (!holdings) {
+      return { status: 404, body: {
+        error: 'ETF portfolio data not available',
+        message: `无法获取${etfCode}在${asOfDate}之前披露的持仓数据，请检查日期或稍后重试。请确保已配置TUSHARE_TOKEN环境变量。`,
+        hasToken: !!TUSHARE_TOKEN
+      } };
+    }
+    const symbolIdx = holdings.fields.indexOf('symbol');
+    const { codes: holdingCodes } = await stockResolver.resolveStockCodes(holdings.items.map(item => item[symbolIdx]).filter(s => s));
+    
+    console.log(`Calculating target portfolio of ${etfCode} (${holdings.period}, ${holdingCodes.length} stocks) as of ${asOfDate}`);
+    const factorWeights = await factorWeightsAt(holdingCodes, asOfDate, factorSettings, (done, total) => progress('factors', done, total));
+    
+    // Prices of the target and of the current positions
+    const priceCodes = [...new Set([...holdingCodes, ...Object.keys(currentShares)])];
+    let pricedCount = 0;
+    progress('prices', 0, priceCodes.length);
+    const closes = await Promise.all(priceCodes.map(async code => {
+      const close = await getLatestClose(code, asOfDate);
+      progress('prices', ++pricedCount, priceCodes.length);
+      return close;
+    }));
+    const prices = {};
+    const priceDates = {};
+    priceCodes.forEach((code, i) => {
+      if (closes[i]) {
+        prices[code] = closes[i].price;
+        priceDates[code] = closes[i].date;
+      }
+    });
+    
+    // Stocks without a recent price cannot be bought; their weight goes to the others
+    const unpriced = holdingCodes.filter(code => factorWeights.weights[code] > 0 && !prices[code]);
+    const pricedWeight = holdingCodes
+      .filter(code => prices[code])
+      .reduce((sum, code) => sum + (factorWeights.weights[code] || 0), 0);
+    if (pricedWeight <= 0) {
+      return { status: 404, body: {
+        error: 'Price data not available',
+        message: `无法获取${asOfDate}之前一个月内的股票行情，请检查日期或稍后重试。`
+      } };
+    }
+    const targetWeights = {};
+    holdingCodes.filter(code => prices[code] && factorWeights.weights[code] > 0).forEach(code => {
+      targetWeights[code] = factorWeights.weights[code] / pricedWeight;
+    });
+    
+    const { allocation, trades, tradeCosts } = allocateWithinCapital(targetWeights, prices, capital, currentShares, costModel, asOfDate);
+    
+    progress('stockInfo');
+    const infoCodes = [...new Set([...Object.keys(targetWeights), ...Object.keys(currentShares)])];
+    const infos = await Promise.all(infoCodes.map(async code => {
+      const [name, industry] = await Promise.all([getStockName(code), getStockIndustry(code)]);
+      return { name: name, industry: industry || '-' };
+    }));
+    const stockInfo = Object.fromEntries(infoCodes.map((code, i) => [code, infos[i]]));
+    const etfName = await getFundName(etfCode);
+    
+    const target = Object.keys(targetWeights).map(code => {
+      const shares = allocation.shares[code];
+      return {
+        code: code,
+        name: stockInfo[code].name,
+        industry: stockInfo[code].industry,
+        weight: targetWeights[code] * 100,
+        price: prices[code],
+        priceDate: priceDates[code],
+        shares: shares,
+        value: roundMoney(shares * prices[code]),
+        actualWeight: shares * prices[code] / capital * 100,
+        currentShares: currentShares[code] || 0
+      };
+    }).sort((a, b) => b.weight - a.weight);
+    
+    const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+    const buys = trades.filter(t => t.action === 'buy');
+    const sells = trades.filter(t => t.action === 'sell');
+    const positionValue = Object.keys(currentShares)
+      .reduce((total, code) => total + currentShares[code] * (prices[code] || 0), 0);
+    
+    return { status: 200, body: {
+      success: true,
+      data: {
+        asOfDate: asOfDate,
+        etfInfo: {
+          code: etfCode,
+          name: etfName
+        },
+        holdings: {
+          period: holdings.period,
+          annDate: holdings.annDate,
+          holdingCount: holdingCodes.length
+        },
+        capital: capital,
+        lotSize: LOT_SIZE,
+        invested: allocation.invested,
+        cash: roundMoney(capital - allocation.invested),
+        target: target,
+        unpriced: unpriced,
+        positions: Object.keys(currentShares).map(code => ({
+          code: code,
+          name: stockInfo[code].name,
+          shares: currentShares[code],
+          price: prices[code] || null,
+          value: prices[code] ? roundMoney(currentShares[code] * prices[code]) : null
+        })),
+        positionValue: roundMoney(positionValue),
+        trades: trades.map(t => ({ ...t, name: stockInfo[t.code].name })),
+        tradeSummary: {
+          buyCount: buys.length,
+          sellCount: sells.length,
+          buyValue: roundMoney(sum(buys, 'value')),
+          sellValue: roundMoney(sum(sells, 'value')),
+          // Cash the trades need beyond the sale proceeds, costs included
+          netCashRequired: roundMoney(sum(buys, 'value') - sum(sells, 'value') + (tradeCosts ? tradeCosts.total : 0)),
+          costs: tradeCosts
+        },
+        statistics: {
+          ...describeFactorSettings(factorSettings, factorWeights),
+          stockCount: target.length,
+          costModel: costModel
+        }
+      }
+    } };
+    
+  } catch (error) {
+    console.error('Target portfolio error:', error);
+    return { status: 500, body: {
+      error: 'Failed to calculate target portfolio',
+      message: error.message
+    } };
+  }
+}
+
+// Run a backtest and attach a summary of the Tushare calls that still failed after
+// retries (data.failures, or failures on an error response)
+async function runBacktestWithFailures(runner, params, onProgress) {
+  const { result, failures } = await trackFailures(() => runner(params, onProgress));
+  const summary = summarizeFailures(failures);
+  if (result.body.success) {
+    result.body.data.failures = summary;
+  } else if (summary.total > 0) {
+    result.body.failures = summary;
+  }
+  return result;
+}
+
+// Save a successful backtest as a run ({ id, type, createdAt, params }, see lib/runs.js)
+// The run id is added to the result once it is saved
+async function saveBacktestRun(run, response) {
+  if (!response.body.success) return;
+  const saved = await saveRun({ ...run, result: response.body.data });
+  if (saved) response.body.data.runId = run.id;
+}
+
+// Run a backtest runner for an HTTP request
+function sendBacktest(runner, type) {
+  return async (req, res) => {
+    const response = await runBacktestWithFailures(runner, req.body);
+    await saveBacktestRun({ id: crypto.randomUUID(), type: type, createdAt: new Date().toISOString(), params: req.body }, response);
+    res.status(response.status).json(response.body);
+  };
+}
+
+// API endpoint for ETF holdings replication with dual-factor weighting
+app.post('/api/backtest-etf', sendBacktest(runEtfBacktest, 'backtest-etf'));
+
+// API endpoint for backtesting with dual-factor strategy
+app.post('/api/backtest', sendBacktest(runCustomBacktest, 'backtest'));
+
+// API endpoint for the current target portfolio and the trades to reach it
+// Unlike backtests, target portfolios are not saved as runs
+app.post('/api/target-portfolio', async (req, res) => {
+  const { status, body } = await runBacktestWithFailures(runTargetPortfolio, req.body);
+  res.status(status).json(body);
+});
+
+// Request types that can run as background jobs
+const JOB_RUNNERS = {
+  'backtest-etf': runEtfBacktest,
+  'backtest': runCustomBacktest,
+  'target-portfolio': runTargetPortfolio
+};
+
+// Job types with a backtest result, which is saved as a run and can be exported
+const BACKTEST_JOB_TYPES = ['backtest-etf', 'backtest'];
+
+// Start a backtest (or target portfolio) in the background; poll GET /api/jobs/:id or stream /api/jobs/:id/events
+app.post('/api/jobs', (req, res) => {
+  const { type = 'backtest-etf', params = {} } = req.body;
+  
+  if (!JOB_RUNNERS[type]) {
+    return res.status(400).json({
+      error: 'Invalid job type',
+      message: `type must be one of: ${Object.keys(JOB_RUNNERS).join(', ')}`
+    });
+  }
+  
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return res.status(400).json({
+      error: 'Invalid job parameters',
+      message: 'params must be an object with the request body of the matching endpoint'
+    });
+  }
+  
+  const job = createJob(type, params);
+  runJob(job, async onProgress => {
+    const response = await runBacktestWithFailures(JOB_RUNNERS[type], params, onProgress);
+    if (BACKTEST_JOB_TYPES.includes(type)) {
+      await saveBacktestRun({ id: job.id, type: type, createdAt: job.createdAt, params: params }, response);
+    }
+    return response;
+  });
+  console.log(`Started ${type} job ${job.id}`);
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    }
+  });
+});
+
+// Job status, progress and (when completed) the backtest result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `任务 ${req.params.id} 不存在或已过期`
+    });
+  }
+  res.json({
+    success: true,
+    data: describeJob(job)
+  });
+});
+
+// Progress stream (Server-Sent Events)
+// Sends the current state, a 'progress' event per update and a final 'done' event
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `任务 ${req.params.id} 不存在或已过期`
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  if (isFinished(job)) {
+    send('done', describeJob(job, { includeResult: false }));
+    return res.end();
+  }
+  send('progress', job.progress);
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = subscribe(job, {
+    onProgress: progress => send('progress', progress),
+    onDone: summary => {
+      send('done', summary);
+      cleanup();
+      res.end();
+    }
+  });
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.on('close', cleanup);
+});
+
+// Check the ?format= and ?table= of an export request
+// Returns { format, table } or { error } with the 400 response body
+function parseExportQuery(query) {
+  const { format = 'xlsx', table = 'netValue' } = query;
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: {
+      error: 'Invalid export format',
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    } };
+  }
+  
+  if (!Object.keys(EXPORT_TABLES).includes(table)) {
+    return { error: {
+      error: 'Invalid export table',
+      message: `table must be one of: ${Object.keys(EXPORT_TABLES).join(', ')}`
+    } };
+  }
+  
+  return { format: format, table: table };
+}
+
+// Send a run ({ type, id, createdAt, params }) and its result as a download
+function sendExport(res, run, result, { format, table }) {
+  const file = exportResult(run, result, format, table);
+  res.attachment(file.filename);
+  res.type(file.contentType);
+  res.send(file.body);
+}
+
+// Download a completed job's result as CSV, XLSX or JSON
+// ?format=csv|xlsx|json (default xlsx); CSV exports one table: ?table=netValue|holdings|statistics|params
+app.get('/api/jobs/:id/export', (req, res) => {
+  const query = parseExportQuery(req.query);
+  if (query.error) {
+    return res.status(400).json(query.error);
+  }
+  
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `任务 ${req.params.id} 不存在或已过期`
+    });
+  }
+  
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Job not completed',
+      message: `任务 ${req.params.id} 尚未完成（${job.status}），没有可导出的结果`
+    });
+  }
+  
+  if (!BACKTEST_JOB_TYPES.includes(job.type)) {
+    return res.status(400).json({
+      error: 'Export not supported',
+      message: `${job.type} 任务没有回测结果可导出`
+    });
+  }
+  
+  sendExport(res, job, job.result, query);
+});
+
+// Saved runs (lib/runs.js), newest first
+app.get('/api/runs', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listRuns()
+    });
+  } catch (error) {
+    console.error('Run list error:', error);
+    res.status(500).json({
+      error: 'Failed to list runs',
+      message: error.message
+    });
+  }
+});
+
+// A saved run with its parameters and full result
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Run not found',
+        message: `回测记录 ${req.params.id} 不存在`
+      });
+    }
+    res.json({
+      success: true,
+      data: { ...run, summary: describeRun(run) }
+    });
+  } catch (error) {
+    console.error('Run read error:', error);
+    res.status(500).json({
+      error: 'Failed to read run',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/runs/:id', async (req, res) => {
+  try {
+    if (!(await deleteRun(req.params.id))) {
+      return res.status(404).json({
+        error: 'Run not found',
+        message: `回测记录 ${req.params.id} 不存在`
+      });
+    }
+    console.log(`Deleted run ${req.params.id}`);
+    res.json({
+      success: true,
+      data: { id: req.params.id, deleted: true }
+    });
+  } catch (error) {
+    console.error('Run delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete run',
+      message: error.message
+    });
+  }
+});
+
+// Download a saved run like GET /api/jobs/:id/export
+app.get('/api/runs/:id/export', async (req, res) => {
+  const query = parseExportQuery(req.query);
+  if (query.error) {
+    return res.status(400).json(query.error);
+  }
+  
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        error: 'Run not found',
+        message: `回测记录 ${req.params.id} 不存在`
+      });
+    }
+    
+    sendExport(res, run, run.result, query);
+  } catch (error) {
+    console.error('Run export error:', error);
+    res.status(500).json({
+      error: 'Failed to export run',
+      message: error.message
+    });
+  }
+});
+
+// List the preset target ETFs with names from fund_basic
+app.get('/api/etfs', async (req, res) => {
+  try {
+    const etfs = await Promise.all(PRESET_ETF_CODES.map(async (code) => ({
+      code: code,
+      name: await getFundName(code)
+    })));
+    res.json({
+      success: true,
+      data: {
+        defaultCode: DEFAULT_ETF_CODE,
+        etfs: etfs
+      }
+    });
+  } catch (error) {
+    console.error('ETF list error:', error);
+    res.status(500).json({
+      error: 'Failed to list ETFs',
+      message: error.message
+    });
+  }
+});
+
+// List the factors available in the factor library
+app.get('/api/factors', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      defaultWeights: DEFAULT_FACTOR_WEIGHTS,
+      factors: describeFactors()
+    }
+  });
+});
+
+// 400 body for an apiName that is not a Tushare api_name (it would point outside the cache)
+function invalidApiNameError(apiName) {
+  return {
+    error: 'Invalid apiName',
+    message: `apiName must be a Tushare api_name such as daily or fund_portfolio, got ${JSON.stringify(apiName)}`
+  };
+}
+
+// Inspect the Tushare response cache (pass apiName to list its entries)
+app.get('/api/cache', async (req, res) => {
+  if (req.query.apiName !== undefined && !isValidApiName(req.query.apiName)) {
+    return res.status(400).json(invalidApiNameError(req.query.apiName));
+  }
+  
+  try {
+    const stats = await getCacheStats(req.query.apiName);
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Cache stats error:', error);
+    res.status(500).json({
+      error: 'Failed to read cache',
+      message: error.message
+    });
+  }
+});
+
+// Purge the Tushare response cache (optionally one apiName, or only expired entries)
+app.delete('/api/cache', async (req, res) => {
+  if (req.query.apiName !== undefined && !isValidApiName(req.query.apiName)) {
+    return res.status(400).json(invalidApiNameError(req.query.apiName));
+  }
+  
+  try {
+    const result = await purgeCache({
+      apiName: req.query.apiName,
+      expiredOnly: req.query.expiredOnly === 'true'
+    });
+    console.log(`Purged ${result.removed} cache entries`);
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({
+      error: 'Failed to purge cache',
+      message: error.message
     });
   }
 });
@@ -920,7 +2496,8 @@ app.post('/api/backtest', async (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok',
-    hasToken: !!TUSHARE_TOKEN
+    hasToken: !!TUSHARE_TOKEN,
+    tushareMode: tushareClient.mode
   });
 });
 
@@ -929,7 +2506,13 @@ app.get('/', (req, res) => {
   res.sendFile(__dirname + '/public/index.html');
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Tushare token configured: ${!!TUSHARE_TOKEN}`);
-});
+// Listen only when run directly; tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Tushare token configured: ${!!TUSHARE_TOKEN}`);
+    console.log(`Tushare mode: ${tushareClient.mode}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,482 @@
+// Integration tests of the backtest routes, answered from the recorded fixtures
+// (TUSHARE_MODE=replay) so they run offline and give the same numbers every time.
+// Saved runs go to a temporary directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TUSHARE_MODE = 'replay';
+process.env.TUSHARE_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'tushare');
+process.env.RUNS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}`;
+    resolve();
+  });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+after(() => fs.rmSync(process.env.RUNS_DIR, { recursive: true, force: true }));
+
+async function post(path, body) {
+  const response = await fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The portfolio starts just below 1.0: the initial build pays trading costs
+function assertAscendingFromOne(series, tolerance = 0) {
+  assert.ok(series.length > 0);
+  assert.ok(series[0].netValue <= 1 && series[0].netValue >= 1 - tolerance, `starts at ${series[0].netValue}`);
+  series.slice(1).forEach((point, i) => assert.ok(point.date > series[i].date, `${point.date} after ${series[i].date}`));
+}
+
+// Costs are off unless requested; the backtests here run with the default cost model
+const RANGE = { startDate: '20240102', endDate: '20241231', costs: true };
+
+describe('POST /api/backtest-etf', () => {
+  it('backtests the latest holdings of the default ETF', async () => {
+    const { status, body } = await post('/api/backtest-etf', RANGE);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const { portfolio, etf, stocksInfo, statistics, failures } = body.data;
+    assertAscendingFromOne(portfolio, 0.01);
+    assertAscendingFromOne(etf);
+    assert.equal(portfolio.length, etf.length);
+    assert.equal(statistics.stockCount, 8);
+    assert.equal(statistics.validStocks, 8);
+    const totalWeight = stocksInfo.reduce((sum, s) => sum + parseFloat(s.weight), 0);
+    assert.ok(Math.abs(totalWeight - 100) < 0.1, `weights sum to ${totalWeight}`);
+    assert.equal(failures.total, 0);
+  });
+
+  it('includes the initial build cost in the portfolio metrics', async () => {
+    const { body } = await post('/api/backtest-etf', RANGE);
+    const { portfolio, statistics } = body.data;
+    assert.ok(portfolio[0].netValue < 1);
+    assert.ok(Math.abs(statistics.metrics.portfolio.totalReturn - parseFloat(statistics.portfolioReturn)) < 0.005,
+      `${statistics.metrics.portfolio.totalReturn} vs ${statistics.portfolioReturn}`);
+  });
+
+  it('charges no costs unless the request enables them', async () => {
+    const { body } = await post('/api/backtest-etf', { startDate: RANGE.startDate, endDate: RANGE.endDate });
+    const { portfolio, statistics } = body.data;
+    assert.equal(portfolio[0].netValue, 1);
+    assert.equal(statistics.costs.model, null);
+    assert.equal(statistics.costs.totalCost, 0);
+  });
+
+  it('replicates the ETF with its disclosed weights', async () => {
+    const { body } = await post('/api/backtest-etf', { ...RANGE, constituents: 'history' });
+    const { portfolio, replication, stocksInfo, statistics } = body.data;
+
+    assertAscendingFromOne(replication.netValue, 0.01);
+    assert.deepEqual(replication.netValue.map(v => v.date), portfolio.map(v => v.date));
+    assert.ok(replication.rebalanceCount > 0);
+    assert.ok(statistics.replicationMetrics.relative);
+    assert.equal(statistics.reweightingMetrics.relative.commonDays, portfolio.length);
+    const etfWeights = stocksInfo.filter(s => s.etfWeight !== '-').map(s => parseFloat(s.etfWeight));
+    assert.ok(Math.abs(etfWeights.reduce((sum, w) => sum + w, 0) - 100) < 0.1);
+  });
+
+  it('attributes the excess return over the replication by industry', async () => {
+    const { body } = await post('/api/backtest-etf', { ...RANGE, constituents: 'history' });
+    const { portfolio, attribution, statistics } = body.data;
+
+    // Stock contributions less trading costs add up to the portfolio return
+    const contributed = attribution.stocks.reduce((sum, s) => sum + s.contribution, 0);
+    const portfolioReturn = (portfolio[portfolio.length - 1].netValue - 1) * 100;
+    assert.ok(Math.abs(contributed - statistics.costs.totalCostPct - portfolioReturn) < 1e-6);
+
+    const { total, industries } = attribution;
+    assert.ok(industries.length > 1);
+    assert.ok(Math.abs(total.allocation + total.selection + total.other - total.excess) < 1e-9);
+    assert.ok(Math.abs(total.other) < 0.5, `unexplained ${total.other}`);
+  });
+
+  it('starts at the first disclosure when no holdings were disclosed by the start date', async () => {
+    const { status, body } = await post('/api/backtest-etf', { ...RANGE, startDate: '20230701', constituents: 'history' });
+    assert.equal(status, 200);
+
+    const { portfolio, statistics, constituentHistory } = body.data;
+    assert.equal(statistics.requestedStartDate, '20230701');
+    assert.equal(statistics.startDate, '20230830');
+    assert.equal(portfolio[0].date, '20230830');
+    assert.equal(constituentHistory[0].annDate, '20230830');
+  });
+
+  it('is deterministic across runs', async () => {
+    const first = await post('/api/backtest-etf', RANGE);
+    const second = await post('/api/backtest-etf', RANGE);
+    assert.deepEqual(second.body.data.portfolio, first.body.data.portfolio);
+    assert.equal(second.body.data.statistics.portfolioReturn, first.body.data.statistics.portfolioReturn);
+  });
+
+  it('rebalances through the holdings history with total-return prices', async () => {
+    const { status, body } = await post('/api/backtest-etf', {
+      ...RANGE,
+      constituents: 'history',
+      rebalance: 'quarterly',
+      priceAdjustment: 'total',
+      benchmark: 'adjNav',
+      benchmarkIndex: 'H30269.CSI'
+    });
+    assert.equal(status, 200);
+
+    const { statistics, rebalanceLog, constituentHistory, benchmarkIndex } = body.data;
+    assert.ok(constituentHistory.length > 1);
+    assert.equal(statistics.rebalanceCount, rebalanceLog.length);
+    assert.ok(rebalanceLog.length >= 3);
+    assert.equal(statistics.dividendCheck.matched, statistics.dividendCheck.checked);
+    assert.equal(statistics.benchmark, 'adjNav');
+    assertAscendingFromOne(benchmarkIndex.netValue);
+  });
+
+  it('rejects invalid parameters', async () => {
+    const badFactor = await post('/api/backtest-etf', { ...RANGE, factors: { unknown: 1 } });
+    assert.equal(badFactor.status, 400);
+
+    const badRebalance = await post('/api/backtest-etf', { ...RANGE, rebalance: 'weekly' });
+    assert.equal(badRebalance.status, 400);
+    assert.ok(badRebalance.body.error);
+  });
+});
+
+describe('POST /api/backtest', () => {
+  it('backtests an equal-weight portfolio', async () => {
+    const stockCodes = ['601398.SH', '600036.SH', '000651.SZ'];
+    const { status, body } = await post('/api/backtest', { ...RANGE, stockCodes });
+    assert.equal(status, 200);
+
+    const { portfolio, stocksInfo, statistics, failures } = body.data;
+    assertAscendingFromOne(portfolio, 0.01);
+    assert.equal(statistics.stockCount, 3);
+    assert.equal(statistics.validStocks, 3);
+    stocksInfo.forEach(s => assert.equal(parseFloat(s.weight), parseFloat(stocksInfo[0].weight)));
+    assert.equal(failures.total, 0);
+  });
+
+  it('reports a stock without data in the coverage', async () => {
+    // 601318.SH is in the stock list but has no recorded bars
+    const stockCodes = ['601398.SH', '601318.SH'];
+    const { status, body } = await post('/api/backtest', { ...RANGE, stockCodes });
+    assert.equal(status, 200);
+
+    const { statistics, coverage } = body.data;
+    assert.equal(statistics.validStocks, 1);
+    const missing = coverage.stocks.find(c => c.code === '601318.SH');
+    assert.ok(missing);
+    assert.notEqual(missing.status, 'full');
+  });
+
+  it('resolves codes without a suffix', async () => {
+    const { status, body } = await post('/api/backtest', { ...RANGE, stockCodes: ['601398', 'sz000651', '601398.SH'] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.stocksInfo.map(s => s.code).sort(), ['000651.SZ', '601398.SH']);
+  });
+
+  it('rejects codes missing from the stock list or with the wrong suffix', async () => {
+    const { status, body } = await post('/api/backtest', { ...RANGE, stockCodes: ['601398.SH', '600519.SH', '600036.SZ'] });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid stock codes');
+    assert.deepEqual(body.invalidCodes.map(c => c.code), ['600519.SH', '600036.SZ']);
+  });
+
+  it('normalizes explicit weights', async () => {
+    const stockCodes = [{ code: '601398.SH', weight: 60 }, { code: '000651.SZ', weight: 30 }, { code: '600036', weight: 10 }];
+    const { status, body } = await post('/api/backtest', { ...RANGE, stockCodes, rebalance: 'quarterly' });
+    assert.equal(status, 200);
+
+    const { stocksInfo, statistics, rebalanceLog } = body.data;
+    assert.equal(statistics.weightMode, 'explicit');
+    assert.deepEqual(stocksInfo.map(s => [s.code, s.weight]), [['601398.SH', '60.00'], ['000651.SZ', '30.00'], ['600036.SH', '10.00']]);
+    assert.ok(rebalanceLog.length > 0);
+  });
+
+  it('weights an arbitrary stock list by factors', async () => {
+    const stockCodes = ['601398.SH', '600036.SH', '601088.SH', '000651.SZ'];
+    const { status, body } = await post('/api/backtest', {
+      ...RANGE,
+      stockCodes,
+      weightMode: 'factor',
+      constraints: { maxStockWeight: 0.4 }
+    });
+    assert.equal(status, 200);
+
+    const { stocksInfo, statistics } = body.data;
+    assert.equal(statistics.weightMode, 'factor');
+    assert.ok(statistics.strategy);
+    const weights = stocksInfo.map(s => parseFloat(s.weight));
+    assert.ok(Math.abs(weights.reduce((sum, w) => sum + w, 0) - 100) < 0.1);
+    assert.ok(weights.every(w => w <= 40.01));
+    assert.ok(stocksInfo.every(s => s.factorScores !== undefined));
+  });
+
+  it('starts from the ETF holdings with include and exclude lists', async () => {
+    const etf = await post('/api/backtest-etf', RANGE);
+    const holdings = etf.body.data.stocksInfo.map(s => s.code);
+
+    const { status, body } = await post('/api/backtest', {
+      ...RANGE,
+      useETFHoldings: true,
+      exclude: [holdings[0], '601398'],
+      include: ['600036.SH']
+    });
+    assert.equal(status, 200);
+
+    const codes = body.data.stocksInfo.map(s => s.code).sort();
+    const expected = [...new Set([...holdings, '600036.SH'])].filter(c => c !== holdings[0] && c !== '601398.SH').sort();
+    assert.deepEqual(codes, expected);
+    assert.equal(body.data.statistics.etfHoldings.holdingCount, holdings.length);
+  });
+
+  it('rejects weights without explicit mode and explicit mode without weights', async () => {
+    const pairs = await post('/api/backtest', { ...RANGE, stockCodes: [{ code: '601398.SH', weight: 1 }], weightMode: 'equal' });
+    assert.equal(pairs.status, 400);
+    assert.equal(pairs.body.error, 'Invalid weights');
+
+    const noPairs = await post('/api/backtest', { ...RANGE, stockCodes: ['601398.SH'], weightMode: 'explicit' });
+    assert.equal(noPairs.status, 400);
+
+    const negative = await post('/api/backtest', { ...RANGE, stockCodes: [{ code: '601398.SH', weight: -1 }] });
+    assert.equal(negative.status, 400);
+  });
+
+  it('rejects include codes without a weight and excluding every weighted stock', async () => {
+    const stockCodes = [{ code: '601398.SH', weight: 60 }, { code: '000651.SZ', weight: 40 }];
+    const unweighted = await post('/api/backtest', { ...RANGE, stockCodes, include: ['600036'] });
+    assert.equal(unweighted.status, 400);
+    assert.equal(unweighted.body.error, 'Invalid weights');
+    assert.deepEqual(unweighted.body.unweightedCodes, ['600036.SH']);
+
+    const weighted = await post('/api/backtest', { ...RANGE, stockCodes, include: ['601398.SH'], exclude: ['000651.SZ'] });
+    assert.equal(weighted.status, 200);
+    assert.deepEqual(weighted.body.data.stocksInfo.map(s => [s.code, s.weight]), [['601398.SH', '100.00']]);
+
+    const empty = await post('/api/backtest', { ...RANGE, stockCodes, exclude: ['601398.SH', '000651.SZ'] });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'No stocks to backtest');
+  });
+
+  it('requires stock codes', async () => {
+    const { status, body } = await post('/api/backtest', RANGE);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Stock codes are required');
+  });
+});
+
+describe('GET /api/jobs/:id/export', () => {
+  async function completedJob() {
+    const { body } = await post('/api/jobs', { type: 'backtest-etf', params: RANGE });
+    for (;;) {
+      const job = await (await fetch(`${baseUrl}/api/jobs/${body.data.jobId}`)).json();
+      if (job.data.status === 'completed') return job.data;
+      assert.notEqual(job.data.status, 'failed');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  it('downloads the result as CSV, XLSX and JSON', async () => {
+    const job = await completedJob();
+    const url = query => `${baseUrl}/api/jobs/${job.id}/export?${query}`;
+
+    const csv = await fetch(url('format=csv&table=netValue'));
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="backtest-etf_20240102-\d{8}_netValue\.csv"/);
+    const lines = (await csv.text()).split('\r\n');
+    assert.ok(lines.includes('# startDate: 20240102'));
+    assert.equal(lines.filter(line => /^\d{8},/.test(line)).length, job.result.portfolio.length);
+
+    const xlsx = await fetch(url('format=xlsx'));
+    assert.equal(xlsx.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(Buffer.from(await xlsx.arrayBuffer()).toString('latin1', 0, 2), 'PK');
+
+    const json = await (await fetch(url('format=json'))).json();
+    assert.deepEqual(json.params, RANGE);
+    assert.deepEqual(json.result.statistics, job.result.statistics);
+  });
+
+  it('rejects unknown formats and jobs', async () => {
+    const job = await completedJob();
+    assert.equal((await fetch(`${baseUrl}/api/jobs/${job.id}/export?format=pdf`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/jobs/${job.id}/export?format=csv&table=trades`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/api/jobs/unknown/export`)).status, 404);
+  });
+});
+
+describe('/api/runs', () => {
+  it('saves every backtest and lists, returns, exports and deletes it', async () => {
+    const params = { ...RANGE, rebalance: 'quarterly' };
+    const { body } = await post('/api/backtest-etf', params);
+    const { runId } = body.data;
+    assert.ok(runId);
+
+    const list = await (await fetch(`${baseUrl}/api/runs`)).json();
+    const summary = list.data.find(r => r.id === runId);
+    assert.equal(summary.type, 'backtest-etf');
+    assert.equal(summary.rebalance, 'quarterly');
+    assert.equal(summary.portfolioReturn, parseFloat(body.data.statistics.portfolioReturn));
+
+    const run = await (await fetch(`${baseUrl}/api/runs/${runId}`)).json();
+    assert.deepEqual(run.data.params, params);
+    assert.deepEqual(run.data.result.portfolio, body.data.portfolio);
+    assert.deepEqual(run.data.result.stocksInfo, body.data.stocksInfo);
+
+    const csv = await fetch(`${baseUrl}/api/runs/${runId}/export?format=csv&table=holdings`);
+    assert.equal(csv.status, 200);
+    assert.match(await csv.text(), /# rebalance: quarterly/);
+
+    const deleted = await fetch(`${baseUrl}/api/runs/${runId}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    assert.equal((await fetch(`${baseUrl}/api/runs/${runId}`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/runs/${runId}`, { method: 'DELETE' })).status, 404);
+  });
+
+  it('saves jobs under the job id', async () => {
+    const { body } = await post('/api/jobs', { type: 'backtest', params: { ...RANGE, stockCodes: ['601398.SH'] } });
+    const { jobId } = body.data;
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      job = (await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json()).data;
+    } while (job.status === 'queued' || job.status === 'running');
+
+    assert.equal(job.result.runId, jobId);
+    const run = await (await fetch(`${baseUrl}/api/runs/${jobId}`)).json();
+    assert.equal(run.data.type, 'backtest');
+  });
+
+  it('does not read files outside the runs directory', async () => {
+    const response = await fetch(`${baseUrl}/api/runs/..%2F..%2Fpackage`);
+    assert.equal(response.status, 404);
+  });
+
+  it('answers 500 for a run file without a result', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const id = 'broken-run';
+    fs.writeFileSync(path.join(process.env.RUNS_DIR, `${id}.json`), JSON.stringify({ id: id, type: 'backtest-etf' }));
+    try {
+      for (const url of [`/api/runs/${id}`, `/api/runs/${id}/export?format=json`]) {
+        const response = await fetch(`${baseUrl}${url}`);
+        assert.equal(response.status, 500, url);
+        assert.ok((await response.json()).error, url);
+      }
+    } finally {
+      fs.unlinkSync(path.join(process.env.RUNS_DIR, `${id}.json`));
+    }
+  });
+});
+
+describe('POST /api/target-portfolio', () => {
+  // Trading costs are estimated with the default cost model
+  const TARGET = { capital: 1000000, asOfDate: '20241231', costs: true };
+
+  it('turns the capital into whole lots of the holdings in force', async () => {
+    const { status, body } = await post('/api/target-portfolio', TARGET);
+    assert.equal(status, 200);
+    const { holdings, target, invested, cash, trades, tradeSummary } = body.data;
+
+    // The 20241231 report is disclosed in 2025, so the mid-year report applies
+    assert.equal(holdings.period, '20240630');
+    assert.equal(target.length, 8);
+    target.forEach(s => assert.equal(s.shares % 100, 0, `${s.code} ${s.shares}`));
+    assert.ok(Math.abs(target.reduce((sum, s) => sum + s.weight, 0) - 100) < 1e-9);
+    assert.ok(Math.abs(invested + cash - TARGET.capital) < 0.01);
+    assert.ok(cash >= 0);
+    // Without positions every target is a buy
+    assert.equal(tradeSummary.sellCount, 0);
+    assert.equal(trades.length, target.filter(s => s.shares > 0).length);
+    assert.ok(Math.abs(tradeSummary.buyValue - invested) < 0.01);
+    assert.ok(tradeSummary.costs.total > 0);
+  });
+
+  it('leaves enough cash for the trading costs', async () => {
+    for (const capital of [1000000, 100000, 30000]) {
+      const { body } = await post('/api/target-portfolio', { ...TARGET, capital });
+      const { invested, cash, tradeSummary } = body.data;
+      assert.ok(tradeSummary.netCashRequired <= capital, `${capital}: ${tradeSummary.netCashRequired}`);
+      assert.ok(cash >= tradeSummary.costs.total, `${capital}: ${cash}`);
+      assert.ok(Math.abs(invested + cash - capital) < 0.01);
+    }
+  });
+
+  it('trades from an uploaded position file to the target', async () => {
+    const positions = '证券代码,证券名称,股票余额\n600036,招商银行,1050\n000651,格力电器,350\n';
+    const { body } = await post('/api/target-portfolio', { ...TARGET, positions });
+    const { positions: current, trades, tradeSummary } = body.data;
+
+    assert.deepEqual(current.map(p => [p.code, p.shares]), [['600036.SH', 1050], ['000651.SZ', 350]]);
+    const cmb = trades.find(t => t.code === '600036.SH');
+    assert.equal(cmb.currentShares, 1050);
+    assert.equal(cmb.shares % 100, 0);
+    assert.ok(Math.abs(cmb.resultingShares - cmb.targetShares) < 100);
+    assert.ok(Math.abs(tradeSummary.netCashRequired - (tradeSummary.buyValue - tradeSummary.sellValue + tradeSummary.costs.total)) < 0.01);
+  });
+
+  it('leaves out trading costs when they are disabled or not requested', async () => {
+    for (const costs of [false, undefined]) {
+      const { status, body } = await post('/api/target-portfolio', { ...TARGET, costs });
+      assert.equal(status, 200);
+      assert.equal(body.data.tradeSummary.costs, null);
+      assert.equal(body.data.tradeSummary.netCashRequired, body.data.tradeSummary.buyValue);
+    }
+  });
+
+  it('rejects invalid capital, dates and positions', async () => {
+    assert.equal((await post('/api/target-portfolio', { asOfDate: '20241231' })).status, 400);
+    assert.equal((await post('/api/target-portfolio', { ...TARGET, asOfDate: '2024-12-31' })).status, 400);
+
+    const badLine = await post('/api/target-portfolio', { ...TARGET, positions: 'code,shares\n600036,abc\n' });
+    assert.equal(badLine.status, 400);
+    assert.deepEqual(badLine.body.positionErrors.map(e => e.line), [2]);
+
+    const unknown = await post('/api/target-portfolio', { ...TARGET, positions: [{ code: '601988', shares: 100 }] });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.invalidCodes.map(c => c.code), ['601988']);
+  });
+
+  it('has no holdings before the first disclosure', async () => {
+    const { status } = await post('/api/target-portfolio', { ...TARGET, asOfDate: '20230301' });
+    assert.equal(status, 404);
+  });
+
+  it('runs as a job that is neither saved nor exported', async () => {
+    const { body } = await post('/api/jobs', { type: 'target-portfolio', params: TARGET });
+    const { jobId } = body.data;
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      job = (await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json()).data;
+    } while (job.status === 'queued' || job.status === 'running');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.runId, undefined);
+    assert.equal((await fetch(`${baseUrl}/api/runs/${jobId}`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/jobs/${jobId}/export?format=json`)).status, 400);
+  });
+});
+
+describe('/api/cache', () => {
+  it('does not read or delete files outside the cache directory', async () => {
+    for (const apiName of ['..', '../fixtures/tushare', '.', 'daily/..']) {
+      const query = `apiName=${encodeURIComponent(apiName)}`;
+      assert.equal((await fetch(`${baseUrl}/api/cache?${query}`)).status, 400, apiName);
+      assert.equal((await fetch(`${baseUrl}/api/cache?${query}`, { method: 'DELETE' })).status, 400, apiName);
+    }
+    assert.ok(fs.existsSync(path.join(__dirname, '..', 'package.json')));
+    assert.ok(fs.existsSync(path.join(process.env.TUSHARE_FIXTURES_DIR, 'daily.json')));
+  });
+});
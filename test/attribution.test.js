@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAttribution } = require('../lib/attribution');
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+describe('calculateAttribution', () => {
+  const industries = { A: '银行', B: '银行', C: '煤炭开采' };
+
+  it('sums stock contributions by industry', () => {
+    const { stocks, industries: rows, total } = calculateAttribution({
+      A: { contribution: 0.02, averageWeight: 0.25 },
+      B: { contribution: -0.01, averageWeight: 0.25 },
+      C: { contribution: 0.05, averageWeight: 0.5 }
+    }, null, industries);
+
+    assert.deepEqual(stocks.map(s => s.code), ['C', 'A', 'B']);
+    assert.equal(stocks[0].benchmarkWeight, null);
+    const bank = rows.find(r => r.industry === '银行');
+    assertClose(bank.weight, 50);
+    assertClose(bank.contribution, 1);
+    assertClose(bank.return, 2);
+    assert.equal(bank.allocation, null);
+    assertClose(total.contribution, 6);
+  });
+
+  it('splits the excess return into allocation and selection', () => {
+    // Benchmark: banks 50% returning 2%, coal 50% returning 10% (total 6%)
+    // Portfolio: banks 25% returning 4%, coal 75% returning 10%
+    const benchmark = {
+      A: { contribution: 0.01, averageWeight: 0.5 },
+      C: { contribution: 0.05, averageWeight: 0.5 }
+    };
+    const portfolio = {
+      B: { contribution: 0.01, averageWeight: 0.25 },
+      C: { contribution: 0.075, averageWeight: 0.75 }
+    };
+    const { industries: rows, total } = calculateAttribution(portfolio, benchmark, industries, {
+      portfolio: 0.085,
+      benchmark: 0.06
+    });
+
+    const bank = rows.find(r => r.industry === '银行');
+    const coal = rows.find(r => r.industry === '煤炭开采');
+    assertClose(bank.allocation, -0.25 * (2 - 6));
+    assertClose(bank.selection, 0.25 * (4 - 2));
+    assertClose(coal.allocation, 0.25 * (10 - 6));
+    assertClose(coal.selection, 0);
+    assertClose(total.allocation + total.selection, 2.5);
+    assertClose(total.excess, 2.5);
+    assertClose(total.other, 0);
+  });
+
+  it('compares industries missing from the benchmark with its total return', () => {
+    const { industries: rows } = calculateAttribution(
+      { C: { contribution: 0.03, averageWeight: 1 } },
+      { A: { contribution: 0.02, averageWeight: 1 } },
+      industries
+    );
+    const coal = rows.find(r => r.industry === '煤炭开采');
+    assertClose(coal.allocation, 0);
+    assertClose(coal.selection, 1);
+    assert.equal(coal.benchmarkReturn, null);
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateFactorWeights,
+  calculatePortfolioNetValue,
+  calculateETFNetValue,
+  getRebalanceDates,
+  getUniverseAt,
+  calculateDisclosedWeights
+} = require('../lib/backtest');
+
+// Daily bars in Tushare's { fields, items } shape; rows are [date, close]
+function bars(code, rows) {
+  return {
+    code: code,
+    data: {
+      fields: ['ts_code', 'trade_date', 'close'],
+      items: rows.map(([date, close]) => [code, date, close])
+    }
+  };
+}
+
+function factorsOf(code, dividendYield, roce) {
+  return { code: code, factors: { dividendYield: dividendYield, roce: roce }, industry: null };
+}
+
+function sum(weights) {
+  return Object.values(weights).reduce((total, w) => total + w, 0);
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+describe('calculateFactorWeights', () => {
+  it('falls back to equal weights when ROCE is missing for every stock', () => {
+    const { weights } = calculateFactorWeights([
+      factorsOf('A', 3, null),
+      factorsOf('B', 5, null),
+      factorsOf('C', 4, null)
+    ]);
+    assert.deepEqual(Object.keys(weights), ['A', 'B', 'C']);
+    Object.values(weights).forEach(w => assertClose(w, 1 / 3));
+  });
+
+  it('gives a single stock the whole portfolio', () => {
+    const { weights } = calculateFactorWeights([factorsOf('A', 3, 12)]);
+    assert.deepEqual(weights, { A: 1 });
+  });
+
+  it('weights stocks equally when factor values are identical', () => {
+    const { weights } = calculateFactorWeights([
+      factorsOf('A', 4, 10),
+      factorsOf('B', 4, 10),
+      factorsOf('C', 4, 10)
+    ]);
+    Object.values(weights).forEach(w => assertClose(w, 1 / 3));
+  });
+
+  it('ranks negative ROCE last without producing negative weights', () => {
+    const { weights, factorScores } = calculateFactorWeights([
+      factorsOf('A', 4, -5),
+      factorsOf('B', 4, 10),
+      factorsOf('C', 4, 20)
+    ]);
+    assertClose(sum(weights), 1);
+    Object.values(weights).forEach(w => assert.ok(w >= 0));
+    assert.ok(weights.A < weights.B && weights.B < weights.C);
+    assert.equal(factorScores.A.roce, 0);
+  });
+
+  it('fills a missing dividend yield instead of dropping the stock', () => {
+    const { weights, processedFactors } = calculateFactorWeights([
+      factorsOf('A', null, 10),
+      factorsOf('B', 5, 12)
+    ]);
+    assert.deepEqual(Object.keys(weights).sort(), ['A', 'B']);
+    assert.equal(processedFactors.find(s => s.code === 'A').dividendYield, 0.01);
+  });
+});
+
+describe('calculatePortfolioNetValue', () => {
+  it('sorts YYYYMMDD date strings and starts at 1.0', () => {
+    // Tushare returns bars newest first; the range crosses a month and a year boundary
+    const stocksData = [
+      bars('A', [['20240102', 11], ['20231229', 10.5], ['20231228', 10]]),
+      bars('B', [['20240102', 20], ['20231229', 20], ['20231228', 20]])
+    ];
+    const { netValue } = calculatePortfolioNetValue(stocksData, { A: 0.5, B: 0.5 });
+
+    assert.deepEqual(netValue.map(v => v.date), ['20231228', '20231229', '20240102']);
+    assertClose(netValue[0].netValue, 1);
+    assertClose(netValue[2].netValue, 1.05);
+  });
+
+  it('carries a suspended stock at its last close', () => {
+    const tradeDates = ['20240102', '20240103', '20240104'];
+    const stocksData = [
+      bars('A', [['20240102', 10], ['20240103', 10], ['20240104', 10]]),
+      bars('B', [['20240102', 10], ['20240104', 12]])
+    ];
+    const { netValue, coverage } = calculatePortfolioNetValue(stocksData, { A: 0.5, B: 0.5 }, { tradeDates });
+
+    assert.deepEqual(netValue.map(v => v.date), tradeDates);
+    assertClose(netValue[1].netValue, 1);
+    assertClose(netValue[2].netValue, 1.1);
+    const b = coverage.find(c => c.code === 'B');
+    assert.equal(b.status, 'suspended');
+    assert.equal(b.missingDays, 1);
+  });
+
+  it('sells a suspended stock dropped at a rebalance once it resumes', () => {
+    const tradeDates = ['20240102', '20240103', '20240104', '20240105'];
+    const stocksData = [
+      bars('A', [['20240102', 10], ['20240103', 10], ['20240104', 10], ['20240105', 11]]),
+      bars('B', [['20240102', 10], ['20240104', 12], ['20240105', 12]])
+    ];
+    const { netValue, rebalanceLog } = calculatePortfolioNetValue(stocksData, { A: 0.5, B: 0.5 }, {
+      tradeDates: tradeDates,
+      rebalanceSchedule: [{ date: '20240103', weights: { A: 1 } }]
+    });
+
+    // B cannot be sold while suspended; it is sold at 12 on resumption and the
+    // proceeds buy A, so the portfolio is all A from 20240104
+    assertClose(netValue[2].netValue, 1.1);
+    assertClose(netValue[3].netValue, 1.21);
+    assert.ok(rebalanceLog.some(entry => entry.date === '20240104'));
+  });
+
+  it('attributes the return to the stocks held', () => {
+    const stocksData = [
+      bars('A', [['20240102', 10], ['20240103', 11], ['20240104', 12]]),
+      bars('B', [['20240102', 10], ['20240103', 9], ['20240104', 9]])
+    ];
+    const { netValue, contributions } = calculatePortfolioNetValue(stocksData, { A: 0.5, B: 0.5 });
+
+    assertClose(contributions.A.contribution, 0.1);
+    assertClose(contributions.B.contribution, -0.05);
+    assertClose(contributions.A.contribution + contributions.B.contribution, netValue[2].netValue - 1);
+    // A starts both days above half the portfolio: 0.5, then 0.55 / 1.0
+    assertClose(contributions.A.averageWeight, (0.5 + 0.55) / 2);
+  });
+});
+
+describe('calculateETFNetValue', () => {
+  it('sorts closes by date and normalizes to the first close', () => {
+    const etfData = {
+      fields: ['ts_code', 'trade_date', 'close'],
+      items: [
+        ['512890.SH', '20240103', 1.2],
+        ['512890.SH', '20231229', 1.0],
+        ['512890.SH', '20240102', 1.1]
+      ]
+    };
+    const netValue = calculateETFNetValue(etfData);
+    assert.deepEqual(netValue.map(v => v.date), ['20231229', '20240102', '20240103']);
+    assertClose(netValue[0].netValue, 1);
+    assertClose(netValue[2].netValue, 1.2);
+  });
+
+  it('returns an empty series without data', () => {
+    assert.deepEqual(calculateETFNetValue(null), []);
+    assert.deepEqual(calculateETFNetValue({ fields: ['trade_date', 'close'], items: [] }), []);
+  });
+
+  it('skips non-positive closes', () => {
+    const netValue = calculateETFNetValue({
+      fields: ['trade_date', 'close'],
+      items: [['20240102', 0], ['20240103', 2], ['20240104', 3]]
+    });
+    assert.equal(netValue[0].date, '20240103');
+    assertClose(netValue[1].netValue, 1.5);
+  });
+});
+
+describe('rebalance and constituent schedules', () => {
+  const tradeDates = ['20240102', '20240131', '20240201', '20240329', '20240401', '20240701'];
+
+  it('rebalances on the first trading date of each period', () => {
+    assert.deepEqual(getRebalanceDates(tradeDates, 'monthly'), ['20240201', '20240329', '20240401', '20240701']);
+    assert.deepEqual(getRebalanceDates(tradeDates, 'quarterly'), ['20240401', '20240701']);
+    assert.deepEqual(getRebalanceDates(tradeDates, 'none'), []);
+  });
+
+  it('maps disclosure dates to the next trading date', () => {
+    assert.deepEqual(getRebalanceDates(tradeDates, 'report', ['20240330', '20231231']), ['20240401']);
+  });
+
+  it('uses the constituents in force on a date', () => {
+    const schedule = [
+      { date: '20230830', codes: ['A', 'B'] },
+      { date: '20240330', codes: ['A', 'C'] }
+    ];
+    assert.deepEqual(getUniverseAt(schedule, '20240102'), ['A', 'B']);
+    assert.deepEqual(getUniverseAt(schedule, '20240401'), ['A', 'C']);
+    // Nothing is in force before the first disclosure
+    assert.equal(getUniverseAt(schedule, '20230101'), null);
+    assert.equal(getUniverseAt([], '20240101'), null);
+  });
+});
+
+describe('calculateDisclosedWeights', () => {
+  const fields = ['ts_code', 'end_date', 'symbol', 'mkv', 'stk_mkv_ratio'];
+
+  it('normalizes stk_mkv_ratio over the resolved holdings', () => {
+    const items = [
+      ['512890.SH', '20241231', '600036.SH', 300, 30],
+      ['512890.SH', '20241231', '000651.SZ', 100, 10],
+      ['512890.SH', '20241231', 'XXXXXX', 100, 10]
+    ];
+    const { weights, stockRatio } = calculateDisclosedWeights(fields, items, ['600036.SH', '000651.SZ', null]);
+    assert.deepEqual(weights, { '600036.SH': 0.75, '000651.SZ': 0.25 });
+    assert.equal(stockRatio, 40);
+  });
+
+  it('falls back to mkv when a ratio is missing', () => {
+    const items = [
+      ['512890.SH', '20241231', '600036.SH', 300, 30],
+      ['512890.SH', '20241231', '000651.SZ', 100, null]
+    ];
+    const { weights, stockRatio } = calculateDisclosedWeights(fields, items, ['600036.SH', '000651.SZ']);
+    assert.deepEqual(weights, { '600036.SH': 0.75, '000651.SZ': 0.25 });
+    assert.equal(stockRatio, null);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tushare-cache-'));
+process.env.TUSHARE_CACHE_DIR = cacheDir;
+delete process.env.TUSHARE_CACHE;
+
+const { isValidApiName, getCachePolicy, getCached, setCached, getCacheStats, purgeCache } = require('../lib/cache');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Rewrite the expiry of every stored entry of an api_name
+function expireEntries(apiName) {
+  const dir = path.join(cacheDir, apiName);
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (entry.expiresAt !== null) {
+      entry.expiresAt = Date.now() - 1;
+      fs.writeFileSync(file, JSON.stringify(entry));
+    }
+  });
+}
+
+describe('getCachePolicy', () => {
+  it('keeps market data for past dates permanently', () => {
+    assert.deepEqual(getCachePolicy('daily', { ts_code: '600036.SH', end_date: '20240131' }), { ttl: null });
+    assert.deepEqual(getCachePolicy('trade_cal', { trade_date: '20240102' }), { ttl: null });
+  });
+
+  it('expires market data that runs up to today or has no end date after an hour', () => {
+    assert.deepEqual(getCachePolicy('daily', { end_date: '29991231' }), { ttl: HOUR });
+    assert.deepEqual(getCachePolicy('daily', { ts_code: '600036.SH' }), { ttl: HOUR });
+  });
+
+  it('keeps past reporting periods permanently and whole histories for a day', () => {
+    assert.deepEqual(getCachePolicy('income', { period: '20231231' }), { ttl: null });
+    assert.deepEqual(getCachePolicy('income', { ts_code: '600036.SH' }), { ttl: DAY });
+    assert.deepEqual(getCachePolicy('cashflow', { period: '20231231' }), { ttl: null });
+    assert.deepEqual(getCachePolicy('cashflow', { ts_code: '600036.SH' }), { ttl: DAY });
+  });
+
+  it('keeps reference data for a week and anything else for an hour', () => {
+    assert.deepEqual(getCachePolicy('stock_basic', { list_status: 'L' }), { ttl: 7 * DAY });
+    assert.deepEqual(getCachePolicy('moneyflow', {}), { ttl: HOUR });
+  });
+});
+
+describe('cache entries', () => {
+  before(async () => {
+    await setCached('daily', { ts_code: '600036.SH', end_date: '20240131' }, [{ close: 35 }]);
+    await setCached('daily', { ts_code: '600036.SH' }, [{ close: 36 }]);
+  });
+
+  after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('reads entries back regardless of param order', async () => {
+    assert.deepEqual(await getCached('daily', { end_date: '20240131', ts_code: '600036.SH' }), [{ close: 35 }]);
+    assert.equal(await getCached('daily', { ts_code: '601398.SH' }), undefined);
+  });
+
+  it('counts permanent and expiring entries', async () => {
+    const stats = await getCacheStats();
+    assert.deepEqual(stats.byApi.daily, { entries: 2, bytes: stats.bytes, permanent: 1, expired: 0, corrupt: 0 });
+
+    const { items } = await getCacheStats('daily');
+    assert.deepEqual(items.map(item => item.expiresAt === null).sort(), [false, true]);
+  });
+
+  it('misses expired entries and purges only those with expiredOnly', async () => {
+    expireEntries('daily');
+    assert.equal(await getCached('daily', { ts_code: '600036.SH' }), undefined);
+    assert.equal((await getCacheStats()).byApi.daily.expired, 1);
+
+    assert.deepEqual(await purgeCache({ expiredOnly: true }), { removed: 1 });
+    assert.deepEqual(await getCached('daily', { ts_code: '600036.SH', end_date: '20240131' }), [{ close: 35 }]);
+  });
+
+  it('reports and purges corrupt entries', async () => {
+    fs.writeFileSync(path.join(cacheDir, 'daily', 'broken.json'), '{');
+    assert.equal((await getCacheStats()).byApi.daily.corrupt, 1);
+    assert.deepEqual(await purgeCache({ apiName: 'daily', expiredOnly: true }), { removed: 1 });
+  });
+
+  it('rejects api names outside the cache directory', async () => {
+    assert.equal(isValidApiName('fina_indicator'), true);
+    assert.equal(isValidApiName('../fixtures'), false);
+    await assert.rejects(getCacheStats('..'), /Invalid api_name/);
+    await assert.rejects(purgeCache({ apiName: 'daily/..' }), /Invalid api_name/);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConstraints, hasConstraints, applyConstraints } = require('../lib/constraints');
+
+function assertWeights(actual, expected) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  Object.keys(expected).forEach(code => {
+    assert.ok(Math.abs(actual[code] - expected[code]) < 1e-9, `${code}: expected ${expected[code]}, got ${actual[code]}`);
+  });
+}
+
+const WEIGHTS = { A: 0.6, B: 0.3, C: 0.1 };
+
+describe('applyConstraints', () => {
+  it('leaves weights alone without constraints', () => {
+    const result = applyConstraints(WEIGHTS);
+    assertWeights(result.weights, WEIGHTS);
+    assert.deepEqual(result.binding, []);
+    assert.deepEqual(result.infeasible, []);
+  });
+
+  it('redistributes capped weight until no stock is above the cap', () => {
+    // A's excess lifts B over the cap too, so the second pass hands it all to C
+    const result = applyConstraints(WEIGHTS, {}, { maxStockWeight: 0.4 });
+    assertWeights(result.weights, { A: 0.4, B: 0.4, C: 0.2 });
+    assert.deepEqual(result.binding, [{ constraint: 'maxStockWeight', limit: 0.4, codes: ['A', 'B'] }]);
+    assert.deepEqual(result.infeasible, []);
+  });
+
+  it('scales an industry down to its cap and gives the excess to other industries', () => {
+    const industries = { A: '银行', B: '银行', C: '煤炭' };
+    const result = applyConstraints({ A: 0.4, B: 0.4, C: 0.2 }, industries, { maxIndustryWeight: 0.5 });
+    assertWeights(result.weights, { A: 0.25, B: 0.25, C: 0.5 });
+    assert.deepEqual(result.binding, [{ constraint: 'maxIndustryWeight', limit: 0.5, industries: ['银行'] }]);
+  });
+
+  it('reports a stock cap too low for the number of holdings as infeasible', () => {
+    const result = applyConstraints(WEIGHTS, {}, { maxStockWeight: 0.2 });
+    assert.deepEqual(result.infeasible, ['maxStockWeight']);
+    assertWeights(result.weights, { A: 1 / 3, B: 1 / 3, C: 1 / 3 });
+  });
+
+  it('reports an industry cap with no other industry to take the excess as infeasible', () => {
+    const industries = { A: '银行', B: '银行', C: '银行' };
+    const result = applyConstraints(WEIGHTS, industries, { maxIndustryWeight: 0.5 });
+    assert.deepEqual(result.infeasible, ['maxIndustryWeight']);
+    assertWeights(result.weights, WEIGHTS);
+  });
+
+  it('keeps the largest weights for maxHoldings', () => {
+    const result = applyConstraints(WEIGHTS, {}, { maxHoldings: 2 });
+    assertWeights(result.weights, { A: 2 / 3, B: 1 / 3 });
+    assert.deepEqual(result.binding, [{ constraint: 'maxHoldings', limit: 2, codes: ['C'] }]);
+  });
+
+  it('drops names below minWeight', () => {
+    const result = applyConstraints(WEIGHTS, {}, { minWeight: 0.15 });
+    assertWeights(result.weights, { A: 2 / 3, B: 1 / 3 });
+    assert.deepEqual(result.binding, [{ constraint: 'minWeight', limit: 0.15, action: 'drop', codes: ['C'] }]);
+  });
+
+  it('raises names to minWeight in floor mode, taking the weight from the others', () => {
+    const result = applyConstraints(WEIGHTS, {}, { minWeight: 0.2, minWeightAction: 'floor' });
+    // The 0.1 needed is taken in proportion to A and B
+    assertWeights(result.weights, { A: 0.6 - 0.1 * 2 / 3, B: 0.3 - 0.1 / 3, C: 0.2 });
+    assert.deepEqual(result.binding, [{ constraint: 'minWeight', limit: 0.2, action: 'floor', codes: ['C'] }]);
+  });
+
+  it('reports a minWeight that would drop every name as infeasible', () => {
+    const result = applyConstraints({ A: 0.5, B: 0.5 }, {}, { minWeight: 0.6 });
+    assert.deepEqual(result.infeasible, ['minWeight']);
+    assertWeights(result.weights, { A: 0.5, B: 0.5 });
+  });
+
+  it('ignores zero weights and normalizes the rest', () => {
+    assertWeights(applyConstraints({ A: 2, B: 2, C: 0 }).weights, { A: 0.5, B: 0.5 });
+  });
+});
+
+describe('validateConstraints', () => {
+  it('accepts missing and valid constraints', () => {
+    assert.equal(validateConstraints(null), null);
+    assert.equal(validateConstraints({ maxHoldings: 20, minWeight: 0.01, maxStockWeight: 0.1, maxIndustryWeight: 0.3 }), null);
+  });
+
+  it('rejects invalid values', () => {
+    assert.match(validateConstraints([]), /must be an object/);
+    assert.match(validateConstraints({ maxHoldings: 1.5 }), /maxHoldings/);
+    assert.match(validateConstraints({ maxStockWeight: 10 }), /maxStockWeight/);
+    assert.match(validateConstraints({ minWeightAction: 'raise' }), /minWeightAction/);
+    assert.match(validateConstraints({ minWeight: 0.2, maxStockWeight: 0.1 }), /cannot exceed/);
+  });
+});
+
+describe('hasConstraints', () => {
+  it('is true only when a limit is set', () => {
+    assert.equal(hasConstraints(null), false);
+    assert.equal(hasConstraints({ minWeightAction: 'floor' }), false);
+    assert.equal(hasConstraints({ maxStockWeight: null, maxHoldings: 10 }), true);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_COST_MODEL,
+  validateCostModel,
+  resolveCostModel,
+  stampDutyRateOn,
+  calculateTradeCosts
+} = require('../lib/costs');
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+// Only the cost in question: no commission, transfer fee or slippage
+const STAMP_ONLY = { ...DEFAULT_COST_MODEL, commissionRate: 0, minCommission: 0, transferFeeRate: 0 };
+
+describe('calculateTradeCosts', () => {
+  it('charges at least the minimum commission per trade', () => {
+    const model = { ...DEFAULT_COST_MODEL, transferFeeRate: 0 };
+    // 10000 × 0.025% = 2.5 元 → 5 元; 100000 × 0.025% = 25 元
+    const costs = calculateTradeCosts([10000, 100000], model, '20240102');
+    assertClose(costs.commission, 5 + 25);
+    assert.equal(costs.trades, 2);
+    assert.equal(costs.buyValue, 110000);
+  });
+
+  it('charges stamp duty on sells only', () => {
+    const costs = calculateTradeCosts([100000, -100000], STAMP_ONLY, '20240102');
+    assertClose(costs.stampDuty, 50);
+    assert.equal(costs.sellValue, 100000);
+    assertClose(costs.total, 50);
+  });
+
+  it('charges 0.1% stamp duty before 2023-08-28', () => {
+    assertClose(calculateTradeCosts([-100000], STAMP_ONLY, '20230825').stampDuty, 100);
+  });
+
+  it('charges 0.05% stamp duty from 2023-08-28', () => {
+    assertClose(calculateTradeCosts([-100000], STAMP_ONLY, '20230828').stampDuty, 50);
+    assertClose(calculateTradeCosts([-100000], STAMP_ONLY).stampDuty, 50);
+  });
+
+  it('uses a stamp duty rate set by the caller on every date', () => {
+    const model = { ...STAMP_ONLY, stampDutyRate: 0.0005 };
+    assertClose(calculateTradeCosts([-100000], model, '20230825').stampDuty, 50);
+  });
+
+  it('adds transfer fee and slippage on both sides and skips tiny trades', () => {
+    const model = { ...DEFAULT_COST_MODEL, commissionRate: 0, minCommission: 0, stampDutyRate: 0, slippageBps: 10 };
+    const costs = calculateTradeCosts([100000, -100000, 0.001], model);
+    assertClose(costs.transferFee, 2);
+    assertClose(costs.slippage, 200);
+    assert.equal(costs.trades, 2);
+  });
+});
+
+describe('stampDutyRateOn', () => {
+  it('switches rates on 2023-08-28', () => {
+    assert.equal(stampDutyRateOn('20230827'), 0.001);
+    assert.equal(stampDutyRateOn('20230828'), 0.0005);
+  });
+});
+
+describe('validateCostModel', () => {
+  it('accepts true, false, overrides and a null stamp duty rate', () => {
+    assert.equal(validateCostModel(true), null);
+    assert.equal(validateCostModel(false), null);
+    assert.equal(validateCostModel({ commissionRate: 0.0003, stampDutyRate: null }), null);
+    assert.equal(resolveCostModel({ slippageBps: 5 }).slippageBps, 5);
+  });
+
+  it('charges costs only when they are enabled', () => {
+    assert.equal(resolveCostModel(undefined), null);
+    assert.equal(resolveCostModel(null), null);
+    assert.equal(resolveCostModel(false), null);
+    assert.deepEqual(resolveCostModel(true), DEFAULT_COST_MODEL);
+    assert.deepEqual(resolveCostModel({}), DEFAULT_COST_MODEL);
+  });
+
+  it('rejects unknown keys, negative values and zero capital', () => {
+    assert.match(validateCostModel({ fee: 1 }), /Unknown cost settings: fee/);
+    assert.match(validateCostModel({ commissionRate: -1 }), /commissionRate/);
+    assert.match(validateCostModel({ minCommission: null }), /minCommission/);
+    assert.match(validateCostModel({ initialCapital: 0 }), /initialCapital/);
+    assert.ok(validateCostModel([]));
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { flatten, toCsv, buildExportTables, exportResult } = require('../lib/export');
+const { crc32, columnName, createWorkbook } = require('../lib/xlsx');
+
+const run = {
+  type: 'backtest-etf',
+  id: 'job-1',
+  createdAt: '2024-12-31T00:00:00.000Z',
+  params: { startDate: '20240102', endDate: '20240104', factors: { dividendYield: 0.5, roce: 0.5 } }
+};
+
+const result = {
+  portfolio: [
+    { date: '20240102', netValue: 1 },
+    { date: '20240103', netValue: 1.02 },
+    { date: '20240104', netValue: 1.05 }
+  ],
+  etf: [
+    { date: '20240102', netValue: 1 },
+    { date: '20240104', netValue: 1.01 }
+  ],
+  etfInfo: { code: '512890.SH', name: '红利低波ETF' },
+  stocksInfo: [{
+    code: '600036.SH',
+    name: '招商银行',
+    industry: '银行',
+    marketCap: '8351.28',
+    weight: '100.00',
+    etfWeight: '-',
+    dividendYield: '5.24',
+    roce: '12.36',
+    reportPeriod: '20230930',
+    factorValues: { dividendYield: 5.24, roce: 12.36 },
+    factorScores: { dividendYield: 1, roce: 1, composite: 1 }
+  }],
+  statistics: { portfolioReturn: '5.00', metrics: { portfolio: { sharpeRatio: 1.2 } }, binding: ['a', 'b'] }
+};
+
+// Entries of a zip archive written by createZip: { name: content }
+function unzip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const content = zlib.inflateRawSync(buffer.subarray(start, start + size));
+    assert.equal(crc32(content), buffer.readUInt32LE(offset + 14), `crc of ${name}`);
+    entries[name] = content.toString('utf8');
+    offset = start + size;
+  }
+  return entries;
+}
+
+describe('export tables', () => {
+  it('flattens nested statistics into dotted keys', () => {
+    assert.deepEqual(flatten(result.statistics), [
+      ['portfolioReturn', '5.00'],
+      ['metrics.portfolio.sharpeRatio', 1.2],
+      ['binding', 'a, b']
+    ]);
+  });
+
+  it('builds the net value table with the excess return on common dates', () => {
+    const { netValue } = buildExportTables(run, result);
+    assert.deepEqual(netValue[0], ['日期', '组合净值', '红利低波ETF净值', '超额收益（百分点）']);
+    assert.deepEqual(netValue[2], ['20240103', 1.02, null, null]);
+    assert.ok(Math.abs(netValue[3][3] - 4) < 1e-9);
+  });
+
+  it('lists every factor value and score of the holdings as numbers', () => {
+    const { holdings } = buildExportTables(run, result);
+    assert.ok(holdings[0].includes('股息率得分'));
+    const row = holdings[1];
+    assert.equal(row[4], 100);
+    assert.equal(row[5], null);
+    assert.deepEqual(row.slice(10, 14), [5.24, 1, 12.36, 1]);
+  });
+});
+
+describe('exportResult', () => {
+  it('writes CSV with the parameters as comment lines', () => {
+    const { body, filename } = exportResult(run, result, 'csv', 'holdings');
+    assert.equal(filename, 'backtest-etf_20240102-20240104_holdings.csv');
+    const lines = body.replace(/^\ufeff/, '').split('\r\n');
+    assert.equal(lines[0], '# type: backtest-etf');
+    assert.ok(lines.includes('# factors.roce: 0.5'));
+    assert.ok(lines.some(line => line.startsWith('600036.SH,招商银行,银行,8351.28,100,')));
+  });
+
+  it('quotes CSV fields with commas, quotes and line breaks', () => {
+    assert.equal(toCsv([['a,b', 'say "hi"', 'x\ny', null, 1]]), '\ufeff"a,b","say ""hi""","x\ny",,1\r\n');
+  });
+
+  it('writes one sheet per table to XLSX', () => {
+    const { body } = exportResult(run, result, 'xlsx');
+    const entries = unzip(body);
+    assert.match(entries['xl/workbook.xml'], /<sheet name="参数"[^>]*\/><sheet name="净值"/);
+    assert.match(entries['xl/worksheets/sheet2.xml'], /<c r="B3"><v>1.02<\/v><\/c>/);
+    assert.match(entries['xl/worksheets/sheet3.xml'], /<t xml:space="preserve">招商银行<\/t>/);
+  });
+
+  it('writes JSON with the parameters and the raw result', () => {
+    const file = JSON.parse(exportResult(run, result, 'json').body);
+    assert.deepEqual(file.params, run.params);
+    assert.deepEqual(file.result, result);
+  });
+});
+
+describe('xlsx helpers', () => {
+  it('computes CRC-32 and column names', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+
+  it('escapes text and skips empty cells', () => {
+    const entries = unzip(createWorkbook([{ name: 'a/b', rows: [['<&>'], [null, 2]] }]));
+    assert.match(entries['xl/workbook.xml'], /name="a_b"/);
+    assert.match(entries['xl/worksheets/sheet1.xml'], /&lt;&amp;&gt;/);
+    assert.match(entries['xl/worksheets/sheet1.xml'], /<row r="2"><c r="B2"><v>2<\/v><\/c><\/row>/);
+  });
+});
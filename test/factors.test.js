@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeFactors, dailyReturns } = require('../lib/factors');
+
+// Daily bars alternating +1% / -1% from 20240101, with an ex-dividend day in the middle:
+// the close drops by the dividend but pct_chg (against the adjusted pre_close) does not
+function bars(days) {
+  const items = [];
+  let close = 10;
+  for (let day = 0; day < days; day++) {
+    const pctChg = day % 2 === 0 ? 1 : -1;
+    const preClose = day === 15 ? close - 0.5 : close;
+    close = preClose * (1 + pctChg / 100);
+    items.push(['600036.SH', String(20240101 + day), close, preClose, pctChg]);
+  }
+  return { fields: ['ts_code', 'trade_date', 'close', 'pre_close', 'pct_chg'], items: items.reverse() };
+}
+
+describe('dailyReturns', () => {
+  it('reads pct_chg in date order', () => {
+    const returns = dailyReturns(bars(3));
+    assert.deepEqual(returns.map(r => r.date), ['20240101', '20240102', '20240103']);
+    assert.deepEqual(returns.map(r => r.value), [0.01, -0.01, 0.01]);
+  });
+
+  it('has no returns without pct_chg', () => {
+    assert.deepEqual(dailyReturns({ fields: ['trade_date', 'close'], items: [['20240101', 10]] }), []);
+    assert.deepEqual(dailyReturns(null), []);
+  });
+});
+
+describe('lowVol', () => {
+  it('annualizes the volatility of dividend-adjusted returns', () => {
+    const { lowVol } = computeFactors(['lowVol'], { priceHistory: bars(30) }, { asOfDate: '20240130' });
+    // 15 returns of +1% and 15 of -1%: sample std 0.01 × √(30/29); the ex-dividend drop is left out
+    const expected = 0.01 * Math.sqrt(30 / 29) * Math.sqrt(252) * 100;
+    assert.ok(Math.abs(lowVol - expected) < 1e-9, `expected ${expected}, got ${lowVol}`);
+  });
+
+  it('needs at least 20 bars', () => {
+    assert.equal(computeFactors(['lowVol'], { priceHistory: bars(19) }, {}).lowVol, null);
+  });
+});
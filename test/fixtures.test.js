@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { queryTable, replayFixture, recordFixture } = require('../lib/fixtures');
+const { createMockTushareApp } = require('../lib/mock-tushare');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+const fixturesDir = path.join(root, 'tushare');
+const DAILY = {
+  fields: ['ts_code', 'trade_date', 'close'],
+  items: [['600036.SH', '20240102', 35], ['600036.SH', '20240103', 36], ['000651.SZ', '20240102', 33]]
+};
+
+before(() => {
+  fs.mkdirSync(fixturesDir);
+  fs.writeFileSync(path.join(fixturesDir, 'daily.json'), JSON.stringify(DAILY));
+  // A table outside the fixtures directory that a crafted api_name could reach
+  fs.writeFileSync(path.join(root, 'secret.json'), JSON.stringify(DAILY));
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe('queryTable', () => {
+  it('filters by date range and comma-separated codes', () => {
+    assert.deepEqual(queryTable('daily', DAILY, { ts_code: '600036.SH', start_date: '20240103' }).items, [DAILY.items[1]]);
+    assert.equal(queryTable('daily', DAILY, { ts_code: '600036.SH,000651.SZ', end_date: '20240102' }).items.length, 2);
+  });
+});
+
+describe('replayFixture and recordFixture', () => {
+  it('answers from the table and resolves to null without one', async () => {
+    assert.equal((await replayFixture(fixturesDir, 'daily', { trade_date: '20240102' })).items.length, 2);
+    assert.equal(await replayFixture(fixturesDir, 'income', {}), null);
+  });
+
+  it('rejects api names outside the fixtures directory', async () => {
+    await assert.rejects(replayFixture(fixturesDir, '../secret', {}), /Invalid api_name/);
+    await assert.rejects(recordFixture(fixturesDir, '../../x', DAILY), /Invalid api_name/);
+    assert.equal(fs.existsSync(path.join(root, '..', 'x.json')), false);
+  });
+});
+
+describe('createMockTushareApp', () => {
+  let server;
+  let url;
+
+  before(() => new Promise(resolve => {
+    server = createMockTushareApp({ fixturesDir }).listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/`;
+      resolve();
+    });
+  }));
+
+  after(() => server.close());
+
+  const request = async body => (await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: 'mock', params: {}, ...body })
+  })).json();
+
+  it('serves recorded tables', async () => {
+    const response = await request({ api_name: 'daily', params: { ts_code: '000651.SZ' } });
+    assert.equal(response.code, 0);
+    assert.deepEqual(response.data.items, [DAILY.items[2]]);
+  });
+
+  it('refuses api names that are not Tushare api names', async () => {
+    for (const apiName of ['../secret', '..', 'daily/../../secret', 42]) {
+      const response = await request({ api_name: apiName });
+      assert.equal(response.code, 40102, String(apiName));
+      assert.equal(response.data, null);
+    }
+  });
+});
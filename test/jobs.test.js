@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJob, getJob, describeJob, createProgressReporter, runJob, subscribe, isFinished } = require('../lib/jobs');
+
+// Run a task as a job and resolve with the progress events and the 'done' payload
+function runToEnd(task) {
+  const job = createJob('backtest', { topN: 5 });
+  const progress = [];
+  return new Promise(resolve => {
+    subscribe(job, {
+      onProgress: p => progress.push(p),
+      onDone: done => resolve({ job, progress, done })
+    });
+    runJob(job, task);
+  });
+}
+
+const STAGES = [
+  { key: 'load', label: '加载数据', weight: 3 },
+  { key: 'simulate', label: '回测', weight: 1 }
+];
+
+describe('createProgressReporter', () => {
+  it('weights the percent by stage and reports the count in the message', () => {
+    const reports = [];
+    const report = createProgressReporter(STAGES, p => reports.push(p));
+    report('load', 1, 2);
+    report('simulate');
+    report('simulate', 5, 4);
+    assert.deepEqual(reports.map(r => r.percent), [38, 75, 100]);
+    assert.equal(reports[0].message, '加载数据 1/2');
+    assert.equal(reports[1].message, '回测');
+  });
+
+  it('ignores unknown stages', () => {
+    const reports = [];
+    createProgressReporter(STAGES, p => reports.push(p))('save', 1, 1);
+    assert.deepEqual(reports, []);
+  });
+});
+
+describe('runJob', () => {
+  it('starts queued and completes with the body data', async () => {
+    const { job, progress, done } = await runToEnd(async onProgress => {
+      onProgress({ stage: 'load', percent: 50 });
+      return { status: 200, body: { success: true, data: { totalReturn: 12 } } };
+    });
+    assert.equal(job.status, 'completed');
+    assert.equal(isFinished(job), true);
+    assert.deepEqual(job.result, { totalReturn: 12 });
+    assert.equal(job.progress.percent, 100);
+    assert.deepEqual(progress, [{ stage: 'load', percent: 50 }]);
+    // The done event leaves out the result
+    assert.equal(done.status, 'completed');
+    assert.equal(done.result, undefined);
+    assert.equal(getJob(job.id), job);
+  });
+
+  it('fails with the error body of a non-2xx response', async () => {
+    const { job } = await runToEnd(async () => ({ status: 400, body: { error: 'Invalid request', message: 'topN' } }));
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.error, { status: 400, error: 'Invalid request', message: 'topN' });
+  });
+
+  it('fails with a 500 when the task throws', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { job } = await runToEnd(() => {
+      throw new Error('boom');
+    });
+    assert.deepEqual(job.error, { status: 500, error: 'Job failed', message: 'boom' });
+  });
+
+  it('removes listeners once the job is done', async () => {
+    const { job } = await runToEnd(async () => ({ status: 200, body: { data: null } }));
+    assert.equal(job.events.listenerCount('progress'), 0);
+    assert.equal(job.events.listenerCount('done'), 0);
+  });
+});
+
+describe('describeJob', () => {
+  it('includes the result unless asked not to', () => {
+    const job = createJob('targetPortfolio', {});
+    assert.equal(describeJob(job).status, 'queued');
+    assert.equal(isFinished(job), false);
+    assert.ok('result' in describeJob(job));
+    assert.equal(describeJob(job, { includeResult: false }).result, undefined);
+    assert.equal(getJob('missing'), null);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRADING_DAYS_PER_YEAR,
+  calculateMaxDrawdown,
+  calculateSeriesMetrics,
+  calculateRelativeMetrics,
+  calculateMetrics
+} = require('../lib/metrics');
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+const DATES = ['20240102', '20240103', '20240104', '20240105', '20240108', '20240109'];
+
+function series(values) {
+  return values.map((netValue, i) => ({ date: DATES[i], netValue: netValue }));
+}
+
+const SQRT_YEAR = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+// Daily returns +10%, -10%, +10%: mean 1/30, sample variance 0.04/3, downside mean square 0.01/3
+const SWING = series([1, 1.1, 0.99, 1.089]);
+
+describe('calculateMaxDrawdown', () => {
+  it('finds the peak, trough and recovery dates', () => {
+    assert.deepEqual(calculateMaxDrawdown(series([1, 1.2, 0.9, 1.0, 1.2, 1.3])), {
+      maxDrawdown: -25,
+      peakDate: '20240103',
+      troughDate: '20240104',
+      recoveryDate: '20240108'
+    });
+  });
+
+  it('has no recovery date when the series stays below its peak', () => {
+    const drawdown = calculateMaxDrawdown(SWING);
+    assertClose(drawdown.maxDrawdown, -10);
+    assert.equal(drawdown.peakDate, '20240103');
+    assert.equal(drawdown.troughDate, '20240104');
+    assert.equal(drawdown.recoveryDate, null);
+  });
+
+  it('is zero without dates for a series that never falls', () => {
+    assert.deepEqual(calculateMaxDrawdown(series([1, 1, 1.1])), {
+      maxDrawdown: 0,
+      peakDate: null,
+      troughDate: null,
+      recoveryDate: null
+    });
+  });
+});
+
+describe('calculateSeriesMetrics', () => {
+  it('computes returns, volatility and risk-adjusted ratios', () => {
+    const metrics = calculateSeriesMetrics(SWING);
+    const annualizedReturn = Math.pow(1.089, TRADING_DAYS_PER_YEAR / 3) - 1;
+    const volatility = Math.sqrt(0.04 / 3) * SQRT_YEAR;
+
+    assertClose(metrics.totalReturn, 8.9, 'total return');
+    assertClose(metrics.annualizedReturn / 100, annualizedReturn, 'annualized return');
+    assertClose(metrics.annualizedVolatility / 100, volatility, 'volatility');
+    assertClose(metrics.sharpeRatio, (1 / 30) * TRADING_DAYS_PER_YEAR / volatility, 'Sharpe');
+    assertClose(metrics.sortinoRatio, (1 / 30) * TRADING_DAYS_PER_YEAR / (Math.sqrt(0.01 / 3) * SQRT_YEAR), 'Sortino');
+    assertClose(metrics.maxDrawdown, -10);
+    assert.equal(metrics.maxDrawdownRecoveryDate, null);
+    assertClose(metrics.calmarRatio, annualizedReturn * 100 / 10, 'Calmar');
+    assert.equal(metrics.tradingDays, 4);
+  });
+
+  it('subtracts the daily risk-free rate from the returns', () => {
+    const dailyRf = 0.0252 / TRADING_DAYS_PER_YEAR;
+    const metrics = calculateSeriesMetrics(SWING, 2.52);
+    const volatility = Math.sqrt(0.04 / 3) * SQRT_YEAR;
+    assertClose(metrics.sharpeRatio, (1 / 30 - dailyRf) * TRADING_DAYS_PER_YEAR / volatility);
+  });
+
+  it('sorts the series by date', () => {
+    assert.deepEqual(calculateSeriesMetrics([...SWING].reverse()), calculateSeriesMetrics(SWING));
+  });
+
+  it('has no ratios for a flat series', () => {
+    const metrics = calculateSeriesMetrics(series([1, 1, 1, 1]));
+    assert.equal(metrics.totalReturn, 0);
+    assert.equal(metrics.annualizedVolatility, 0);
+    assert.equal(metrics.sharpeRatio, null);
+    assert.equal(metrics.sortinoRatio, null);
+    assert.equal(metrics.maxDrawdown, 0);
+    assert.equal(metrics.calmarRatio, null);
+  });
+
+  it('counts the loss from the initial value to the first point', () => {
+    // Building the portfolio cost 1%: the first point is 0.99 of a capital of 1
+    const metrics = calculateSeriesMetrics(series([0.99, 1.089, 0.9801]), 0, 1);
+    assertClose(metrics.totalReturn, -1.99, 'total return');
+    assertClose(metrics.annualizedReturn / 100, Math.pow(0.9801, TRADING_DAYS_PER_YEAR / 3) - 1, 'annualized return');
+    assert.equal(metrics.tradingDays, 3);
+    // A series already starting at the initial value is unchanged
+    assert.deepEqual(calculateSeriesMetrics(SWING, 0, 1), calculateSeriesMetrics(SWING));
+  });
+
+  it('needs at least two values', () => {
+    assert.equal(calculateSeriesMetrics(series([1])), null);
+    assert.equal(calculateSeriesMetrics([]), null);
+  });
+});
+
+describe('calculateRelativeMetrics', () => {
+  // Benchmark returns +5%, -5%, +5%: the portfolio moves exactly twice as much
+  const BENCHMARK = series([1, 1.05, 0.9975, 1.047375]);
+
+  it('computes tracking error, information ratio, beta, alpha and win rate', () => {
+    const metrics = calculateRelativeMetrics(SWING, BENCHMARK);
+    // Active returns are +5%, -5%, +5%
+    const trackingError = Math.sqrt(0.01 / 3) * SQRT_YEAR;
+    assertClose(metrics.trackingError / 100, trackingError, 'tracking error');
+    assertClose(metrics.informationRatio, (1 / 60) * TRADING_DAYS_PER_YEAR / trackingError, 'information ratio');
+    assertClose(metrics.beta, 2, 'beta');
+    assertClose(metrics.alpha, 0, 'alpha');
+    assertClose(metrics.winRate, 200 / 3, 'win rate');
+    assert.equal(metrics.commonDays, 4);
+  });
+
+  it('only uses common dates', () => {
+    const benchmark = [...BENCHMARK, { date: '20240110', netValue: 1.1 }];
+    const portfolio = [...SWING, { date: '20240108', netValue: 1.2 }];
+    assert.deepEqual(calculateRelativeMetrics(portfolio, benchmark), calculateRelativeMetrics(SWING, BENCHMARK));
+  });
+
+  it('has no beta or alpha against a zero-variance benchmark', () => {
+    const metrics = calculateRelativeMetrics(SWING, series([1, 1, 1, 1]));
+    assert.equal(metrics.beta, null);
+    assert.equal(metrics.alpha, null);
+    assertClose(metrics.trackingError / 100, Math.sqrt(0.04 / 3) * SQRT_YEAR);
+    assertClose(metrics.winRate, 200 / 3);
+  });
+
+  it('needs at least two common returns', () => {
+    assert.equal(calculateRelativeMetrics(series([1, 1.1]), series([1, 1.05])), null);
+  });
+});
+
+describe('calculateMetrics', () => {
+  it('measures the portfolio from a capital of 1', () => {
+    const metrics = calculateMetrics(series([0.99, 1.089]), series([1, 1.1]));
+    assertClose(metrics.portfolio.totalReturn, 8.9);
+    assertClose(metrics.benchmark.totalReturn, 10);
+    assert.equal(metrics.benchmark.tradingDays, 2);
+  });
+
+  it('combines both series and the relative metrics', () => {
+    const metrics = calculateMetrics(SWING, series([1, 1, 1, 1]), 2);
+    assert.equal(metrics.riskFreeRate, 2);
+    assert.equal(metrics.portfolio.tradingDays, 4);
+    assert.equal(metrics.benchmark.totalReturn, 0);
+    assert.equal(metrics.relative.commonDays, 4);
+  });
+});
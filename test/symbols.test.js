@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStockCode, symbolToTsCode, createSymbolResolver } = require('../lib/symbols');
+
+describe('symbolToTsCode', () => {
+  it('maps Shanghai main board, STAR Market and B shares to .SH', () => {
+    assert.equal(symbolToTsCode('601398'), '601398.SH');
+    assert.equal(symbolToTsCode('605499'), '605499.SH');
+    assert.equal(symbolToTsCode('688981'), '688981.SH');
+    assert.equal(symbolToTsCode('689009'), '689009.SH');
+    assert.equal(symbolToTsCode('900901'), '900901.SH');
+  });
+
+  it('maps Shenzhen main board, SME, ChiNext and B shares to .SZ', () => {
+    assert.equal(symbolToTsCode('000001'), '000001.SZ');
+    assert.equal(symbolToTsCode('001979'), '001979.SZ');
+    assert.equal(symbolToTsCode('002142'), '002142.SZ');
+    assert.equal(symbolToTsCode('003816'), '003816.SZ');
+    assert.equal(symbolToTsCode('300750'), '300750.SZ');
+    assert.equal(symbolToTsCode('301269'), '301269.SZ');
+    assert.equal(symbolToTsCode('200596'), '200596.SZ');
+  });
+
+  it('maps Beijing Stock Exchange codes to .BJ', () => {
+    assert.equal(symbolToTsCode('830799'), '830799.BJ');
+    assert.equal(symbolToTsCode('873527'), '873527.BJ');
+    assert.equal(symbolToTsCode('430047'), '430047.BJ');
+    assert.equal(symbolToTsCode('920002'), '920002.BJ');
+  });
+
+  it('pads codes that lost their leading zeros', () => {
+    assert.equal(symbolToTsCode('1'), '000001.SZ');
+    assert.equal(symbolToTsCode(651), '000651.SZ');
+  });
+
+  it('keeps codes that already have a suffix', () => {
+    assert.equal(symbolToTsCode('600036.SH'), '600036.SH');
+    assert.equal(symbolToTsCode('00700.HK'), '00700.HK');
+  });
+
+  it('returns null for unknown boards and malformed codes', () => {
+    assert.equal(symbolToTsCode('510300'), null);
+    assert.equal(symbolToTsCode('abc'), null);
+    assert.equal(symbolToTsCode(''), null);
+  });
+});
+
+describe('parseStockCode', () => {
+  it('accepts suffixes, prefixes and lower case', () => {
+    assert.deepEqual(parseStockCode('600036.sh'), { symbol: '600036', exchange: 'SH' });
+    assert.deepEqual(parseStockCode('SZ000651'), { symbol: '000651', exchange: 'SZ' });
+    assert.deepEqual(parseStockCode(' bj.830799 '), { symbol: '830799', exchange: 'BJ' });
+    assert.deepEqual(parseStockCode('600036'), { symbol: '600036', exchange: null });
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(parseStockCode('6000361'), null);
+    assert.equal(parseStockCode(null), null);
+    assert.equal(parseStockCode({}), null);
+  });
+});
+
+describe('createSymbolResolver', () => {
+  const stockList = [
+    { tsCode: '600036.SH', name: '招商银行', industry: '银行', listStatus: 'L' },
+    { tsCode: '000651.SZ', listStatus: 'L' },
+    { tsCode: '830799.BJ', listStatus: 'L' },
+    { tsCode: '600087.SH', listStatus: 'D', listDate: '20020423', delistDate: '20140605' }
+  ];
+
+  it('resolves codes from the stock list and removes duplicates', async () => {
+    const { resolveStockCodes } = createSymbolResolver(async () => stockList);
+    const { codes, invalid } = await resolveStockCodes(['600036', 'sh600036', '651', '830799', '600087'], { strict: true });
+    assert.deepEqual(codes, ['600036.SH', '000651.SZ', '830799.BJ', '600087.SH']);
+    assert.deepEqual(invalid, []);
+  });
+
+  it('rejects unknown codes and wrong suffixes in strict mode', async () => {
+    const { resolveStockCodes } = createSymbolResolver(async () => stockList);
+    const { codes, invalid } = await resolveStockCodes(['600036.SZ', '600519', 'abc', '00700.HK'], { strict: true });
+    assert.deepEqual(codes, []);
+    assert.deepEqual(invalid.map(c => c.code), ['600036.SZ', '600519', 'abc', '00700.HK']);
+    assert.match(invalid[0].reason, /600036\.SH/);
+  });
+
+  it('falls back to the board rules for ETF holdings', async () => {
+    const { resolveStockCodes } = createSymbolResolver(async () => stockList);
+    const { codes, invalid } = await resolveStockCodes(['600519', '600036.SZ', '00700.HK', '510300']);
+    assert.deepEqual(codes, ['600519.SH', '600036.SH', '00700.HK']);
+    assert.deepEqual(invalid.map(c => c.code), ['510300']);
+  });
+
+  it('uses the board rules when the stock list is unavailable', async () => {
+    const { resolveStockCodes } = createSymbolResolver(async () => null);
+    const { codes, invalid } = await resolveStockCodes(['600519', '920002', '600036.SZ'], { strict: true });
+    assert.deepEqual(codes, ['600519.SH', '920002.BJ']);
+    assert.deepEqual(invalid.map(c => c.code), ['600036.SZ']);
+  });
+
+  it('loads the stock list once for concurrent calls', async () => {
+    let loads = 0;
+    const { resolveStockCodes } = createSymbolResolver(async () => {
+      loads++;
+      return stockList;
+    });
+    await Promise.all([resolveStockCodes(['600036']), resolveStockCodes(['000651'])]);
+    await resolveStockCodes(['830799']);
+    assert.equal(loads, 1);
+  });
+
+  it('serves listing dates from the stock list', async () => {
+    let loads = 0;
+    const { resolveStockCodes, getListing } = createSymbolResolver(async () => {
+      loads++;
+      return stockList;
+    });
+    assert.deepEqual(await getListing('600087.SH'), { listDate: '20020423', delistDate: '20140605', listStatus: 'D' });
+    assert.deepEqual(await getListing('600036.SH'), { listDate: null, delistDate: null, listStatus: 'L' });
+    assert.equal(await getListing('600519.SH'), null);
+    await resolveStockCodes(['600036']);
+    assert.equal(loads, 1);
+  });
+
+  it('serves names and industries from the stock list', async () => {
+    const { getStockInfo } = createSymbolResolver(async () => stockList);
+    assert.deepEqual(await getStockInfo('600036.SH'), { name: '招商银行', industry: '银行' });
+    assert.deepEqual(await getStockInfo('000651.SZ'), { name: null, industry: null });
+    assert.equal(await getStockInfo('600519.SH'), null);
+  });
+
+  it('has no listing dates or names when the stock list is unavailable', async () => {
+    const { getListing, getStockInfo } = createSymbolResolver(async () => null);
+    assert.equal(await getListing('600036.SH'), null);
+    assert.equal(await getStockInfo('600036.SH'), null);
+  });
+});
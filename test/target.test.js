@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePositions, allocateLots, planTrades } = require('../lib/target');
+
+describe('parsePositions', () => {
+  it('reads code and share columns from a broker export header', () => {
+    const text = '\ufeff证券代码,证券名称,股票余额,可用余额\r\n="600036",招商银行,"1,200",1200\r\n000651,格力电器,350,350\r\n';
+    assert.deepEqual(parsePositions(text), {
+      positions: [{ code: '600036', shares: 1200 }, { code: '000651', shares: 350 }],
+      errors: []
+    });
+  });
+
+  it('reads headerless code,shares lines and skips comments and blank lines', () => {
+    const text = '# 持仓\n600036.SH,1000\n\n601088\t500\n';
+    assert.deepEqual(parsePositions(text).positions, [
+      { code: '600036.SH', shares: 1000 },
+      { code: '601088', shares: 500 }
+    ]);
+  });
+
+  it('reports invalid lines with their line numbers', () => {
+    const { positions, errors } = parsePositions('code,shares\n600036,abc\n,100\n601088,-5\n');
+    assert.deepEqual(positions, []);
+    assert.deepEqual(errors.map(e => e.line), [2, 3, 4]);
+  });
+
+  it('rejects a header without a share column', () => {
+    const { errors } = parsePositions('代码,名称\n600036,招商银行\n');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].line, 1);
+  });
+
+  it('accepts { code, shares } arrays', () => {
+    assert.deepEqual(parsePositions([{ code: '600036', shares: 100 }]).positions, [{ code: '600036', shares: 100 }]);
+    assert.equal(parsePositions([{ code: '600036', shares: 1.5 }]).errors.length, 1);
+    assert.deepEqual(parsePositions(undefined), { positions: [], errors: [] });
+  });
+});
+
+describe('allocateLots', () => {
+  it('rounds each target to whole lots within the capital', () => {
+    // A: 50% of 100000 at 9.9 = 5050.5 shares; B: 30% at 31 = 967.7; C: 20% at 150 = 133.3
+    const { shares, invested, cash } = allocateLots({ A: 0.5, B: 0.3, C: 0.2 }, { A: 9.9, B: 31, C: 150 }, 100000);
+    assert.deepEqual(shares, { A: 5100, B: 1000, C: 100 });
+    assert.equal(invested, 50490 + 31000 + 15000);
+    assert.equal(cash, 3510);
+  });
+
+  it('only rounds up while the cash lasts, largest shortfall first', () => {
+    // A is 0.56 lots and B 0.65 lots; only one lot fits
+    const { shares, cash } = allocateLots({ A: 0.45, B: 0.55 }, { A: 16, B: 17 }, 2000);
+    assert.deepEqual(shares, { A: 0, B: 100 });
+    assert.equal(cash, 300);
+  });
+
+  it('skips stocks without a price', () => {
+    const { shares } = allocateLots({ A: 0.5, B: 0.5 }, { A: 10 }, 10000);
+    assert.deepEqual(shares, { A: 500 });
+  });
+
+  it('supports other lot sizes', () => {
+    assert.deepEqual(allocateLots({ A: 1 }, { A: 10 }, 1000, { lotSize: 10 }).shares, { A: 100 });
+  });
+});
+
+describe('planTrades', () => {
+  it('sells first, sells positions outside the target in full and buys whole lots', () => {
+    const trades = planTrades({ A: 1000, B: 350, C: 200 }, { A: 600, B: 500, D: 300 }, { A: 10, B: 20, C: 5, D: 1 });
+    assert.deepEqual(trades.map(t => [t.code, t.action, t.shares, t.value, t.resultingShares]), [
+      ['A', 'sell', 400, 4000, 600],
+      ['C', 'sell', 200, 1000, 0],
+      ['B', 'buy', 100, 2000, 450],
+      ['D', 'buy', 300, 300, 300]
+    ]);
+  });
+
+  it('sells an odd lot together with whole lots', () => {
+    const [trade] = planTrades({ A: 1050 }, { A: 500 }, { A: 10 });
+    assert.deepEqual([trade.action, trade.shares, trade.resultingShares], ['sell', 550, 500]);
+  });
+
+  it('leaves out positions already on target and prices it does not know', () => {
+    const trades = planTrades({ A: 100 }, { A: 100, B: 200 }, {});
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].value, null);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  TushareError,
+  classifyApiError,
+  createTushareClient,
+  trackFailures,
+  summarizeFailures
+} = require('../lib/tushare');
+
+const RATE_LIMIT_MSG = '抱歉，您每分钟最多访问该接口50次，权限的具体详情访问：https://tushare.pro/document/1?doc_id=108。';
+const TIMEOUT_MS = 5000;
+const OK = { status: 200, body: { code: 0, msg: '', data: { fields: ['ts_code'], items: [['600036.SH']] } } };
+
+// Local stand-in for the Tushare API answering with scripted responses
+// (the last one repeats); a null response never answers
+let responses = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push(JSON.parse(body));
+    const response = responses.length > 1 ? responses.shift() : responses[0];
+    if (response === null) return;
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.body));
+  });
+});
+
+function client(options = {}) {
+  return createTushareClient({ token: 'test', url: `http://127.0.0.1:${server.address().port}`, mode: 'live', timeout: TIMEOUT_MS, ...options });
+}
+
+// Run backoff and throttling waits at once, recording how long they would have been
+// (the request timeout is left alone)
+function skipWaits(t) {
+  const waits = [];
+  const realSetTimeout = setTimeout;
+  t.mock.method(global, 'setTimeout', (fn, ms, ...args) => {
+    if (ms === TIMEOUT_MS) return realSetTimeout(fn, ms, ...args);
+    waits.push(ms);
+    return realSetTimeout(fn, 0, ...args);
+  });
+  t.mock.method(Math, 'random', () => 0.5);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  return waits;
+}
+
+describe('classifyApiError', () => {
+  it('checks rate limits before the permission link they contain', () => {
+    assert.equal(classifyApiError(RATE_LIMIT_MSG), 'rateLimit');
+    assert.equal(classifyApiError('抱歉，您每天最多访问该接口100000次'), 'quota');
+    assert.equal(classifyApiError('抱歉，您没有访问该接口的权限'), 'permission');
+    assert.equal(classifyApiError('您的token不对，请确认。'), 'permission');
+    assert.equal(classifyApiError('参数错误'), 'api');
+    assert.equal(classifyApiError(), 'api');
+  });
+});
+
+describe('createTushareClient', () => {
+  before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  beforeEach(() => {
+    responses = [OK];
+    requests = [];
+  });
+
+  it('posts the api_name, token and params and returns the data', async () => {
+    const data = await client().call('daily', { ts_code: '600036.SH' });
+    assert.deepEqual(data, OK.body.data);
+    assert.deepEqual(requests, [{ api_name: 'daily', token: 'test', params: { ts_code: '600036.SH' }, fields: '' }]);
+  });
+
+  it('retries network errors with exponential backoff', async (t) => {
+    const waits = skipWaits(t);
+    responses = [{ status: 502, body: {} }, { status: 503, body: {} }, OK];
+    assert.deepEqual(await client().call('daily', {}), OK.body.data);
+    assert.equal(requests.length, 3);
+    assert.deepEqual(waits, [1000, 2000]);
+  });
+
+  it('gives up after maxRetries and records the failure', async (t) => {
+    skipWaits(t);
+    responses = [{ status: 500, body: {} }];
+    const { result, failures } = await trackFailures(() =>
+      client({ maxRetries: 2 }).call('daily', { ts_code: '600036.SH' }).catch(error => error));
+    assert.ok(result instanceof TushareError);
+    assert.equal(result.kind, 'network');
+    assert.equal(result.attempts, 3);
+    assert.equal(requests.length, 3);
+    assert.deepEqual(failures.map(f => [f.api, f.code, f.kind, f.transient, f.attempts]), [['daily', '600036.SH', 'network', true, 3]]);
+  });
+
+  it('waits longer after a rate limit and lowers the quota to the one quoted', async (t) => {
+    const waits = skipWaits(t);
+    responses = [{ status: 200, body: { code: 40203, msg: RATE_LIMIT_MSG } }, OK];
+    assert.deepEqual(await client().call('daily', {}), OK.body.data);
+    assert.ok(waits.includes(10000));
+    assert.deepEqual(console.warn.mock.calls[0].arguments, ['daily: lowering quota to 50/min']);
+  });
+
+  it('fails permission, quota and parameter errors without retrying', async (t) => {
+    skipWaits(t);
+    for (const [msg, kind] of [['抱歉，您没有访问该接口的权限', 'permission'], ['抱歉，您每天最多访问该接口100000次', 'quota'], ['参数错误', 'api']]) {
+      requests = [];
+      responses = [{ status: 200, body: { code: 40101, msg: msg } }];
+      await assert.rejects(client().call('daily', {}), error => error.kind === kind && !error.transient && error.code === 40101);
+      assert.equal(requests.length, 1);
+    }
+  });
+
+  it('times out a request that gets no response as a network error', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    responses = [null];
+    await assert.rejects(client({ timeout: 100, maxRetries: 0 }).call('daily', {}),
+      error => error.kind === 'network' && error.transient);
+  });
+
+  it('serves cached responses in live mode', async () => {
+    const store = new Map();
+    const cache = {
+      getCached: async (apiName, params) => store.get(apiName + JSON.stringify(params)),
+      setCached: async (apiName, params, data) => { store.set(apiName + JSON.stringify(params), data); }
+    };
+    const cached = client({ cache });
+    await cached.call('daily', { ts_code: '600036.SH' });
+    assert.deepEqual(await cached.call('daily', { ts_code: '600036.SH' }), OK.body.data);
+    assert.equal(requests.length, 1);
+  });
+
+  it('rejects an unknown mode', () => {
+    assert.throws(() => client({ mode: 'offline' }), /TUSHARE_MODE must be one of/);
+  });
+});
+
+describe('summarizeFailures', () => {
+  it('groups failures by stock and counts transient and permanent ones', () => {
+    const network = { api: 'daily', code: '600036.SH', kind: 'network', transient: true, attempts: 5, message: 'timeout' };
+    const permission = { api: 'income', code: '600036.SH', kind: 'permission', transient: false, attempts: 1, message: '权限' };
+    const calendar = { api: 'trade_cal', code: null, kind: 'network', transient: true, attempts: 5, message: 'reset' };
+    const summary = summarizeFailures([network, permission, calendar]);
+    assert.equal(summary.total, 3);
+    assert.equal(summary.transient, 2);
+    assert.equal(summary.permanent, 1);
+    assert.deepEqual(summary.stocks.map(s => [s.code, s.errors.map(e => e.api)]), [['600036.SH', ['daily', 'income']]]);
+    assert.deepEqual(summary.other.map(e => e.api), ['trade_cal']);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFactor, getWeightingRequirements, allocateWeights } = require('../lib/weighting');
+
+function assertClose(actual, expected, message, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+}
+
+function assertAllClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => assertClose(value, expected[i], `[${i}]`, tolerance));
+}
+
+// Standard normal CDF at ±1 and ±1/√2
+const CDF_1 = 0.8413447461;
+const CDF_SQRT_HALF = 0.7602499389;
+
+describe('normalizeFactor', () => {
+  it('scales minmax scores from the worst to the best value', () => {
+    assertAllClose(normalizeFactor([1, 2, 3], 'minmax'), [0, 0.5, 1]);
+    assertAllClose(normalizeFactor([1, 2, 3], 'minmax', { higherIsBetter: false }), [1, 0.5, 0]);
+    assertAllClose(normalizeFactor([5, 5], 'minmax'), [0, 0]);
+  });
+
+  it('gives tied values the average percentile rank', () => {
+    // Ranks 1, 4, 2.5, 2.5 of 4
+    assertAllClose(normalizeFactor([10, 30, 20, 20], 'rank'), [0.125, 0.875, 0.5, 0.5]);
+    assertAllClose(normalizeFactor([10, 30, 20, 20], 'rank', { higherIsBetter: false }), [0.875, 0.125, 0.5, 0.5]);
+  });
+
+  it('winsorizes z-scores and maps them through the normal CDF', () => {
+    // [1, 2, 3] is clipped to [1.1, 2, 2.9]: mean 2, sample std 0.9, z = -1, 0, 1
+    assertAllClose(normalizeFactor([1, 2, 3], 'zscore'), [1 - CDF_1, 0.5, CDF_1], 1e-6);
+    // An outlier is clipped to the 95th percentile instead of squeezing the others
+    const [low, , outlier] = normalizeFactor([1, 2, 1000], 'zscore');
+    assert.ok(low < 0.5 && outlier > 0.5 && outlier < 1);
+  });
+
+  it('scores a single value or identical values as average', () => {
+    assertAllClose(normalizeFactor([7], 'zscore'), [0.5], 1e-6);
+    assertAllClose(normalizeFactor([3, 3, 3], 'zscore'), [0.5, 0.5, 0.5], 1e-6);
+  });
+
+  it('z-scores within each industry for sectorZscore', () => {
+    // Two industries on very different scales score the same once neutralized
+    const scores = normalizeFactor([1, 3, 10, 30], 'sectorZscore', { groups: ['银行', '银行', '煤炭', '煤炭'] });
+    assertAllClose(scores, [1 - CDF_SQRT_HALF, CDF_SQRT_HALF, 1 - CDF_SQRT_HALF, CDF_SQRT_HALF], 1e-6);
+  });
+
+  it('returns no scores for no values', () => {
+    assert.deepEqual(normalizeFactor([], 'rank'), []);
+  });
+});
+
+describe('getWeightingRequirements', () => {
+  it('asks for industries and price history only when needed', () => {
+    assert.deepEqual(getWeightingRequirements(), { industry: false, priceHistory: false });
+    assert.deepEqual(getWeightingRequirements({ normalization: 'sectorZscore', weighting: 'riskParity' }), { industry: true, priceHistory: true });
+    assert.equal(getWeightingRequirements({ weighting: 'inverseVol' }).priceHistory, true);
+  });
+});
+
+describe('allocateWeights', () => {
+  const stocks = [
+    { code: 'A', score: 0.6, marketCap: 100, volatility: 0.1 },
+    { code: 'B', score: 0.3, marketCap: 400, volatility: 0.2 },
+    { code: 'C', score: 0.1, marketCap: 0, volatility: 0 }
+  ];
+
+  it('weights by score', () => {
+    const weights = allocateWeights(stocks);
+    assertClose(weights.A, 0.6);
+    assertClose(weights.B, 0.3);
+    assertClose(weights.C, 0.1);
+  });
+
+  it('keeps the top N by score', () => {
+    assert.deepEqual(allocateWeights(stocks, { weighting: 'equal', topN: 2 }), { A: 0.5, B: 0.5 });
+    assert.deepEqual(Object.keys(allocateWeights(stocks, { topN: 5 })), ['A', 'B', 'C']);
+  });
+
+  it('weights by score × market cap and by inverse volatility', () => {
+    const byCap = allocateWeights(stocks, { weighting: 'scoreMarketCap' });
+    // 60 and 120; C has no market cap
+    assertClose(byCap.A, 1 / 3);
+    assertClose(byCap.B, 2 / 3);
+    assertClose(byCap.C, 0);
+
+    const byVol = allocateWeights(stocks, { weighting: 'inverseVol' });
+    assertClose(byVol.A, 2 / 3);
+    assertClose(byVol.B, 1 / 3);
+    assertClose(byVol.C, 0);
+  });
+
+  it('falls back to equal weights when every raw weight is zero', () => {
+    assert.deepEqual(allocateWeights([{ code: 'A', score: 0 }, { code: 'B', score: 0 }]), { A: 0.5, B: 0.5 });
+    assert.deepEqual(allocateWeights([]), {});
+  });
+
+  it('equalizes risk contributions for riskParity', () => {
+    // Uncorrelated returns with volatilities 1% and 2%: weights are inversely proportional
+    const returnsA = {};
+    const returnsB = {};
+    for (let day = 0; day < 40; day++) {
+      const date = `2024${String(100 + day)}`;
+      returnsA[date] = day % 2 === 0 ? 0.01 : -0.01;
+      returnsB[date] = day % 4 < 2 ? 0.02 : -0.02;
+    }
+    const weights = allocateWeights([
+      { code: 'A', score: 0.5, volatility: 0.5, returns: returnsA },
+      { code: 'B', score: 0.5, volatility: 0.1, returns: returnsB }
+    ], { weighting: 'riskParity' });
+    assertClose(weights.A, 2 / 3, 'A', 1e-6);
+    assertClose(weights.B, 1 / 3, 'B', 1e-6);
+  });
+
+  it('falls back to inverse volatility without enough common returns', () => {
+    const weights = allocateWeights([
+      { code: 'A', score: 0.5, volatility: 0.1, returns: { 20240102: 0.01 } },
+      { code: 'B', score: 0.5, volatility: 0.3, returns: { 20240102: 0.02 } }
+    ], { weighting: 'riskParity' });
+    assertClose(weights.A, 0.75);
+    assertClose(weights.B, 0.25);
+  });
+});